@@ -0,0 +1,1115 @@
+/**
+ * Edit mode, opened with ?edit and a passphrase kept in this browser:
+ * translatable text, timeline entries and skill tags are edited in
+ * place for every locale, with undo/redo, a preview, drafts in
+ * localStorage and export as index.html or a JSON content file.
+ *
+ * The page owns the content. init() gets two hooks:
+ * loadContent() resolves to { messages: { <locale>: dictionary }, resume }
+ * and applyContent(content, { render }) shows an edited version.
+ * Skill tags (static markup) are read and written here.
+ */
+
+import { createElement, listen, runCleanup } from './utils.js';
+import { LOCALES, DEFAULT_LOCALE, currentLocale, t, setLanguage } from './modules/language.js';
+import { setBackgroundInert } from './modules/navigation.js';
+
+const PASSPHRASE_KEY = 'editPassphrase';
+const UNLOCKED_KEY = 'editUnlocked';
+const DRAFT_KEY = 'editDraft';
+const MIN_PASSPHRASE_LENGTH = 8;
+const HISTORY_LIMIT = 50;
+const COMMIT_DELAY = 600;
+
+// Text inside controls, menus, live regions, screen reader only text
+// and our own UI stays as is
+const NOT_EDITABLE = 'head, a, button, select, option, label, summary, nav, [role="tablist"], [role="dialog"], [role="status"], [role="alert"], [aria-live], .sr-only, .edit-ui';
+
+// Entry form fields; translated ones get an input per locale
+const ENTRY_FIELDS = {
+    work: [
+        { name: 'position', translated: true, required: true },
+        { name: 'name', translated: true, required: true },
+        { name: 'summary', translated: true, type: 'text' },
+        { name: 'highlights', translated: true, type: 'lines' },
+        { name: 'startDate', type: 'date', required: true },
+        { name: 'endDate', type: 'date' },
+        { name: 'keywords', type: 'list' },
+        { name: 'skills', type: 'list' },
+        { name: 'url', type: 'url' },
+        { name: 'icon' }
+    ],
+    education: [
+        { name: 'title', translated: true },
+        { name: 'institution', translated: true, required: true },
+        { name: 'studyType' },
+        { name: 'area', translated: true },
+        { name: 'summary', translated: true, type: 'text' },
+        { name: 'startDate', type: 'date' },
+        { name: 'endDate', type: 'date' },
+        { name: 'keywords', type: 'list' },
+        { name: 'skills', type: 'list' },
+        { name: 'icon' }
+    ]
+};
+const DATE_PATTERN = '\\d{4}(-(0[1-9]|1[0-2]))?';
+
+let hooks = null;
+let pageRoot = null;
+let published = null;
+let content = null;
+let undoStack = [];
+let redoStack = [];
+let previewing = false;
+let pendingText = null;
+let commitTimer = null;
+let toolbar = null;
+let statusLine = null;
+let unlockDialog = null;
+let openForm = null;
+const cleanup = [];
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Element whose text follows the language (data-i18n)
+ */
+function createTranslated(tag, className, key) {
+    const element = createElement(tag, className, t(key));
+    element.dataset.i18n = key;
+    return element;
+}
+
+function createButton(className, key, type = 'button') {
+    const button = createTranslated('button', className, key);
+    button.type = type;
+    return button;
+}
+
+// ==========================================
+// Unlock
+// ==========================================
+
+/**
+ * Only a hash of the passphrase is stored. It keeps casual visitors
+ * out of the editing UI; publishing still needs access to the site.
+ */
+async function hashPassphrase(passphrase) {
+    const bytes = new TextEncoder().encode(`portfolio-edit:${passphrase}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function createPassphraseField(name, key, autocomplete) {
+    const label = createElement('label', 'edit-field');
+    label.appendChild(createElement('span', 'edit-field-label', t(key)));
+    const input = label.appendChild(createElement('input', 'edit-input'));
+    input.type = 'password';
+    input.name = name;
+    input.required = true;
+    input.autocomplete = autocomplete;
+    input.setAttribute('aria-describedby', 'edit-unlock-error');
+    return label;
+}
+
+/**
+ * First visit: choose a passphrase (twice). Later: enter it.
+ */
+function renderUnlockDialog(isSetup) {
+    const dialog = createElement('div', 'edit-ui edit-unlock');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'edit-unlock-title');
+
+    const form = dialog.appendChild(createElement('form', 'edit-unlock-dialog'));
+    form.noValidate = true;
+    form.appendChild(createElement('h2', 'edit-unlock-title', t(isSetup ? 'edit.unlock.setupTitle' : 'edit.unlock.title')))
+        .id = 'edit-unlock-title';
+    form.appendChild(createElement('p', 'edit-unlock-text', t(isSetup ? 'edit.unlock.setupText' : 'edit.unlock.text')));
+    form.appendChild(createPassphraseField('passphrase', 'edit.unlock.passphrase', isSetup ? 'new-password' : 'current-password'));
+    if (isSetup) {
+        form.appendChild(createPassphraseField('confirm', 'edit.unlock.confirm', 'new-password'));
+    }
+
+    const error = form.appendChild(createElement('p', 'edit-unlock-error'));
+    error.id = 'edit-unlock-error';
+    error.setAttribute('role', 'alert');
+
+    const actions = form.appendChild(createElement('div', 'edit-form-actions'));
+    actions.appendChild(createButton('edit-button edit-button--primary', isSetup ? 'edit.unlock.setup' : 'edit.unlock.submit', 'submit'));
+    const cancel = actions.appendChild(createButton('edit-button', 'edit.cancel'));
+
+    form.addEventListener('submit', handleUnlockSubmit);
+    cancel.addEventListener('click', closeUnlockDialog);
+    dialog.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') closeUnlockDialog();
+    });
+    return dialog;
+}
+
+function openUnlockDialog() {
+    unlockDialog = renderUnlockDialog(!localStorage.getItem(PASSPHRASE_KEY));
+    document.body.appendChild(unlockDialog);
+    setBackgroundInert(true, unlockDialog);
+    unlockDialog.querySelector('input').focus();
+}
+
+function closeUnlockDialog() {
+    if (!unlockDialog) return;
+    setBackgroundInert(false);
+    unlockDialog.remove();
+    unlockDialog = null;
+}
+
+/**
+ * Message key for what's wrong with the entered passphrase, if anything
+ */
+async function checkPassphrase(form) {
+    const passphrase = form.elements.passphrase.value;
+    const stored = localStorage.getItem(PASSPHRASE_KEY);
+
+    if (!stored && passphrase.length < MIN_PASSPHRASE_LENGTH) return 'edit.unlock.tooShort';
+    if (!stored && passphrase !== form.elements.confirm.value) return 'edit.unlock.mismatch';
+
+    let hash;
+    try {
+        hash = await hashPassphrase(passphrase);
+    } catch (error) {
+        // crypto.subtle needs a secure context (https or localhost)
+        console.warn('Could not check the passphrase:', error);
+        return 'edit.unlock.unsupported';
+    }
+    if (!stored) {
+        localStorage.setItem(PASSPHRASE_KEY, hash);
+        return null;
+    }
+    return hash === stored ? null : 'edit.unlock.wrong';
+}
+
+async function handleUnlockSubmit(event) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const errorKey = await checkPassphrase(form);
+
+    if (errorKey) {
+        form.querySelector('.edit-unlock-error').textContent = t(errorKey, { count: MIN_PASSPHRASE_LENGTH });
+        form.elements.passphrase.setAttribute('aria-invalid', 'true');
+        form.elements.passphrase.select();
+        return;
+    }
+
+    // Unlocked until the tab is closed
+    sessionStorage.setItem(UNLOCKED_KEY, 'true');
+    closeUnlockDialog();
+    await startEditing();
+}
+
+// ==========================================
+// Content, History & Drafts
+// ==========================================
+
+/**
+ * Tags per skill category, keyed by the category title's message id
+ */
+function readSkillTags(root) {
+    const skills = {};
+    root.querySelectorAll('.skill-category').forEach(category => {
+        const title = category.querySelector('.skill-category-title [data-i18n]');
+        if (!title) return;
+        skills[title.dataset.i18n] = Array.from(category.querySelectorAll('.skill-tag'), tag => tag.textContent.trim());
+    });
+    return skills;
+}
+
+/**
+ * Replace the tags of each category with plain spans (the page turns
+ * them into skill explorer buttons), keeping the markup's indentation
+ */
+function writeSkillTags(root, skills) {
+    root.querySelectorAll('.skill-category').forEach(category => {
+        const title = category.querySelector('.skill-category-title [data-i18n]');
+        const container = category.querySelector('.skill-tags');
+        if (!title || !container || !skills[title.dataset.i18n]) return;
+
+        const { firstChild, lastChild } = container;
+        const indent = firstChild && firstChild.nodeType === Node.TEXT_NODE ? firstChild.textContent : '';
+        const closing = lastChild && lastChild.nodeType === Node.TEXT_NODE && lastChild !== firstChild
+            ? lastChild.textContent
+            : '';
+
+        const nodes = [];
+        skills[title.dataset.i18n].forEach(skill => {
+            const tag = (root.ownerDocument || root).createElement('span');
+            tag.className = 'skill-tag';
+            tag.textContent = skill;
+            nodes.push(indent, tag);
+        });
+        container.replaceChildren(...nodes, closing);
+    });
+}
+
+function hasChanges() {
+    return JSON.stringify(content) !== JSON.stringify(published);
+}
+
+/**
+ * Show the current content. Text edits are already on the page and
+ * skip the re-render, which would reset the caret.
+ */
+function showContent({ render = true } = {}) {
+    if (render) {
+        writeSkillTags(pageRoot, content.skills);
+    }
+    return Promise.resolve(hooks.applyContent(content, { render }));
+}
+
+/**
+ * Apply a change to a copy of the content and record the old version
+ * for undo. change() edits the copy or returns a replacement.
+ */
+function update(change, options) {
+    undoStack.push(JSON.stringify(content));
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+
+    const next = clone(content);
+    content = change(next) || next;
+    saveDraft();
+    updateToolbar();
+    return showContent(options);
+}
+
+/**
+ * Move one step between the stacks. Callers commit pending text first:
+ * that edit clears redo, so the stacks must be read afterwards.
+ */
+function restore(from, to, statusKey) {
+    if (!from.length) return Promise.resolve();
+
+    to.push(JSON.stringify(content));
+    content = JSON.parse(from.pop());
+    closeForm();
+    saveDraft();
+    updateToolbar();
+    setStatus(statusKey);
+    return showContent();
+}
+
+export function undo() {
+    commitText();
+    return restore(undoStack, redoStack, 'edit.status.undone');
+}
+
+export function redo() {
+    commitText();
+    return restore(redoStack, undoStack, 'edit.status.redone');
+}
+
+function readDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+        return draft && draft.content && draft.content.messages && draft.content.resume ? draft : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Keep unpublished changes in localStorage; a draft equal to the
+ * published content is dropped
+ */
+function saveDraft() {
+    try {
+        if (!hasChanges()) {
+            localStorage.removeItem(DRAFT_KEY);
+            return;
+        }
+        const savedAt = new Date().toISOString();
+        localStorage.setItem(DRAFT_KEY, JSON.stringify({ savedAt, content }));
+        setStatus('edit.status.saved', { time: formatTime(savedAt) });
+    } catch (error) {
+        console.warn('Could not save the edit draft:', error);
+        setStatus('edit.status.saveFailed');
+    }
+}
+
+function formatTime(date, options = { hour: 'numeric', minute: '2-digit' }) {
+    return new Intl.DateTimeFormat(currentLocale, options).format(new Date(date));
+}
+
+/**
+ * Back to the published content; undo brings the changes back
+ */
+function discardChanges() {
+    commitText();
+    if (!hasChanges()) return Promise.resolve();
+    closeForm();
+    const done = update(() => clone(published));
+    setStatus('edit.status.discarded');
+    return done;
+}
+
+// ==========================================
+// In-place Text
+// ==========================================
+
+function getTextKey(element) {
+    return 'i18nHtml' in element.dataset ? element.dataset.i18nHtml : element.dataset.i18n;
+}
+
+/**
+ * Make plain dictionary messages editable where they appear; plural
+ * and parameterised messages are left to the JSON export
+ */
+function decorateText() {
+    const messages = content.messages[DEFAULT_LOCALE] || {};
+    pageRoot.querySelectorAll('[data-i18n], [data-i18n-html]').forEach(element => {
+        if (element.closest(NOT_EDITABLE) || element.dataset.i18nParams) return;
+        if (typeof messages[getTextKey(element)] !== 'string') return;
+
+        element.classList.add('edit-text');
+        element.setAttribute('contenteditable', 'true');
+    });
+}
+
+function setTextEditable(isEditable) {
+    document.querySelectorAll('.edit-text').forEach(element => {
+        if (isEditable) {
+            element.setAttribute('contenteditable', 'true');
+        } else {
+            element.removeAttribute('contenteditable');
+        }
+    });
+}
+
+function scheduleCommit(element) {
+    if (pendingText && pendingText.element !== element) commitText();
+    // Remember the language: a switch must not move the edit
+    pendingText = { element, lang: currentLocale };
+    clearTimeout(commitTimer);
+    commitTimer = setTimeout(commitText, COMMIT_DELAY);
+}
+
+/**
+ * Store the text being typed in the dictionary it was typed in
+ */
+function commitText() {
+    clearTimeout(commitTimer);
+    if (!pendingText) return;
+    const { element, lang } = pendingText;
+    pendingText = null;
+
+    const key = getTextKey(element);
+    const isHtml = 'i18nHtml' in element.dataset;
+    const value = isHtml ? element.innerHTML.trim() : element.textContent.trim();
+    if ((content.messages[lang] || {})[key] === value) return;
+
+    update(next => {
+        next.messages[lang] = { ...next.messages[lang], [key]: value };
+    }, { render: false });
+
+    // Same message elsewhere on the page
+    document.querySelectorAll(`[data-i18n${isHtml ? '-html' : ''}="${key}"]`).forEach(other => {
+        if (other === element || lang !== currentLocale) return;
+        if (isHtml) {
+            other.innerHTML = value;
+        } else {
+            other.textContent = value;
+        }
+    });
+}
+
+function getEditableTarget(event) {
+    return event.target instanceof Element && !previewing ? event.target.closest('.edit-text') : null;
+}
+
+function handleInput(event) {
+    const element = getEditableTarget(event);
+    if (element) scheduleCommit(element);
+}
+
+/**
+ * Pasted formatting would end up in the dictionaries; insert text only
+ */
+function handlePaste(event) {
+    const element = getEditableTarget(event);
+    if (!element) return;
+    event.preventDefault();
+
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+    const range = selection.getRangeAt(0);
+    const text = document.createTextNode(event.clipboardData.getData('text/plain').replace(/\s+/g, ' '));
+    range.deleteContents();
+    range.insertNode(text);
+    range.setStartAfter(text);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    scheduleCommit(element);
+}
+
+function handleKeydown(event) {
+    if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+        const key = event.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        // Form fields keep their own undo
+        if (event.target instanceof Element && event.target.matches('input, textarea')) return;
+
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+        return;
+    }
+
+    const element = getEditableTarget(event);
+    if (!element) return;
+
+    if (event.key === 'Escape') {
+        // Back to the last committed text
+        clearTimeout(commitTimer);
+        pendingText = null;
+        const message = t(getTextKey(element));
+        if ('i18nHtml' in element.dataset) {
+            element.innerHTML = message;
+        } else {
+            element.textContent = message;
+        }
+        element.blur();
+    } else if (event.key === 'Enter' && !('i18nHtml' in element.dataset)) {
+        // Plain messages are single lines
+        event.preventDefault();
+        element.blur();
+    }
+}
+
+function handleFocusOut(event) {
+    if (pendingText && event.target === pendingText.element) commitText();
+}
+
+/**
+ * Links inside editable text (about paragraphs) don't navigate
+ */
+function handleClick(event) {
+    if (getEditableTarget(event) && event.target.closest('a')) {
+        event.preventDefault();
+    }
+}
+
+// ==========================================
+// Forms (timeline entries, skill tags)
+// ==========================================
+
+/**
+ * Close the open form; focus goes back to the button that opened it
+ */
+function closeForm({ returnFocus = false } = {}) {
+    if (!openForm) return;
+    const { element, trigger } = openForm;
+    openForm = null;
+    element.remove();
+    if (returnFocus && trigger && document.contains(trigger)) {
+        trigger.focus();
+    }
+}
+
+function createFormActions(form, { deleteKey } = {}) {
+    const actions = form.appendChild(createElement('div', 'edit-form-actions'));
+    actions.appendChild(createButton('edit-button edit-button--primary', 'edit.save', 'submit'));
+    const cancel = actions.appendChild(createButton('edit-button', 'edit.cancel'));
+    cancel.addEventListener('click', () => closeForm({ returnFocus: true }));
+
+    form.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            closeForm({ returnFocus: true });
+        }
+    });
+    return deleteKey ? actions.appendChild(createButton('edit-button edit-button--danger', deleteKey)) : null;
+}
+
+/**
+ * Focus an element rendered by the next "timelinerender"
+ */
+function focusAfterRender(find) {
+    document.addEventListener('timelinerender', () => {
+        const target = find();
+        if (!target) return;
+        if (!target.matches('a[href], button, input, select, textarea')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus();
+    }, { once: true });
+}
+
+function parseFieldValue(field, raw) {
+    const value = raw.trim();
+    if (field.type === 'lines' || field.type === 'list') {
+        const items = value.split(field.type === 'lines' ? '\n' : ',')
+            .map(item => item.trim())
+            .filter(Boolean);
+        return items.length ? items : undefined;
+    }
+    return value || undefined;
+}
+
+function formatFieldValue(field, value) {
+    if (value === undefined) return '';
+    if (field.type === 'lines') return value.join('\n');
+    if (field.type === 'list') return value.join(', ');
+    return value;
+}
+
+function assignValue(target, name, value) {
+    if (value === undefined) {
+        delete target[name];
+    } else {
+        target[name] = value;
+    }
+}
+
+/**
+ * Value of an entry field in a locale; the base fields hold the
+ * default locale, "translations" the others
+ */
+function readEntryValue(entry, name, lang) {
+    if (!entry) return undefined;
+    if (lang === DEFAULT_LOCALE) return entry[name];
+    const translation = entry.translations && entry.translations[lang];
+    return translation ? translation[name] : undefined;
+}
+
+function writeEntryValue(entry, name, lang, value) {
+    if (lang === DEFAULT_LOCALE) {
+        assignValue(entry, name, value);
+        return;
+    }
+    const translations = entry.translations || {};
+    const translation = translations[lang] || {};
+    assignValue(translation, name, value);
+    assignValue(translations, lang, Object.keys(translation).length ? translation : undefined);
+    assignValue(entry, 'translations', Object.keys(translations).length ? translations : undefined);
+}
+
+function createFieldControl(field, value) {
+    let control;
+    if (field.type === 'lines' || field.type === 'text') {
+        control = createElement('textarea', 'edit-input');
+        control.rows = field.type === 'lines' ? 4 : 2;
+    } else {
+        control = createElement('input', 'edit-input');
+        control.type = field.type === 'url' ? 'url' : 'text';
+        if (field.type === 'date') {
+            control.pattern = DATE_PATTERN;
+            control.placeholder = 'YYYY-MM';
+        }
+    }
+    control.value = formatFieldValue(field, value);
+    return control;
+}
+
+function getFieldHint(field) {
+    if (field.type === 'date') return 'edit.hints.date';
+    if (field.type === 'lines') return 'edit.hints.lines';
+    if (field.type === 'list') return 'edit.hints.list';
+    return null;
+}
+
+/**
+ * One row of the entry form: a labelled input, or a group with an
+ * input per locale
+ */
+function renderEntryField(field, entry) {
+    const hintKey = getFieldHint(field);
+    const hintId = `edit-hint-${field.name}`;
+    const labelKey = `edit.fields.${field.name}`;
+    const langs = field.translated ? Object.keys(LOCALES) : [DEFAULT_LOCALE];
+
+    const row = field.translated
+        ? createElement('fieldset', 'edit-field edit-field--translated')
+        : createElement('div', 'edit-field');
+    if (field.translated) {
+        row.appendChild(createElement('legend', 'edit-field-label', t(labelKey)));
+    }
+
+    langs.forEach(lang => {
+        const label = row.appendChild(createElement('label', 'edit-field-input'));
+        label.appendChild(field.translated
+            ? createElement('span', 'edit-field-lang', LOCALES[lang].name)
+            : createElement('span', 'edit-field-label', t(labelKey)));
+
+        const control = label.appendChild(createFieldControl(field, readEntryValue(entry, field.name, lang)));
+        control.name = field.translated ? `${field.name}.${lang}` : field.name;
+        control.required = Boolean(field.required) && lang === DEFAULT_LOCALE;
+        if (field.translated) control.lang = lang;
+        if (hintKey) control.setAttribute('aria-describedby', hintId);
+    });
+
+    if (hintKey) {
+        row.appendChild(createElement('p', 'edit-field-hint', t(hintKey))).id = hintId;
+    }
+    return row;
+}
+
+function readEntryForm(form, section, entry) {
+    const next = entry ? clone(entry) : {};
+    ENTRY_FIELDS[section].forEach(field => {
+        const langs = field.translated ? Object.keys(LOCALES) : [DEFAULT_LOCALE];
+        langs.forEach(lang => {
+            const name = field.translated ? `${field.name}.${lang}` : field.name;
+            writeEntryValue(next, field.name, lang, parseFieldValue(field, form.elements[name].value));
+        });
+    });
+    return next;
+}
+
+/**
+ * Readable, unique id for a new entry ("job-dynatrace", "edu-mba")
+ */
+function createEntryId(section, entry) {
+    const slug = String(entry.name || entry.studyType || entry.title || entry.institution || 'entry')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const base = `${section === 'work' ? 'job' : 'edu'}-${slug || 'entry'}`;
+    const ids = new Set((content.resume.work || []).concat(content.resume.education || []).map(item => item.id));
+
+    let id = base;
+    for (let n = 2; ids.has(id); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+function saveEntry(form, section, entry) {
+    const next = readEntryForm(form, section, entry);
+    const id = entry ? entry.id : createEntryId(section, next);
+
+    closeForm();
+    focusAfterRender(() => document.getElementById(id));
+    return update(draft => {
+        const entries = draft.resume[section] || (draft.resume[section] = []);
+        const index = entries.findIndex(item => item.id === id);
+        if (index >= 0) {
+            entries[index] = next;
+        } else {
+            entries.unshift({ id, ...next });
+        }
+    });
+}
+
+function deleteEntry(section, entry) {
+    closeForm();
+    focusAfterRender(() => document.querySelector(`.edit-add-entry[data-section="${section}"]`));
+    const done = update(draft => {
+        draft.resume[section] = draft.resume[section].filter(item => item.id !== entry.id);
+    });
+    setStatus('edit.status.deleted', { title: entry.position || entry.title || entry.institution || entry.id });
+    return done;
+}
+
+function renderEntryForm(section, entry) {
+    const form = createElement('form', 'edit-ui edit-form');
+    form.setAttribute('aria-labelledby', 'edit-form-title');
+    form.appendChild(createElement('h4', 'edit-form-title', t(entry ? 'edit.entry.editTitle' : 'edit.entry.addTitle')))
+        .id = 'edit-form-title';
+    ENTRY_FIELDS[section].forEach(field => form.appendChild(renderEntryField(field, entry)));
+
+    const remove = createFormActions(form, { deleteKey: entry ? 'edit.entry.delete' : null });
+    if (remove) {
+        remove.addEventListener('click', () => deleteEntry(section, entry));
+    }
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        saveEntry(form, section, entry);
+    });
+    return form;
+}
+
+/**
+ * Put the open entry form in place: inside its entry, or above the
+ * list for a new one. Re-rendered timelines get the same form back.
+ */
+function placeEntryForm() {
+    if (!openForm || !openForm.section) return;
+    const { element, section, id } = openForm;
+
+    if (!id) {
+        const container = document.querySelector(`[data-resume-section="${section}"]`);
+        if (container) container.before(element);
+        return;
+    }
+
+    const heading = document.getElementById(id);
+    const item = heading && heading.closest('.timeline-item');
+    if (item) {
+        item.querySelector('.timeline-content').appendChild(element);
+    } else {
+        closeForm();
+    }
+}
+
+function openEntryForm(section, id = null, trigger = document.activeElement) {
+    commitText();
+    closeForm();
+    const entry = id ? (content.resume[section] || []).find(item => item.id === id) : null;
+    if (id && !entry) return;
+
+    openForm = { element: renderEntryForm(section, entry), section, id, trigger };
+    placeEntryForm();
+    openForm.element.querySelector('input, textarea').focus();
+}
+
+/**
+ * "Edit" on every entry of the resume and "Add entry" per list
+ */
+function decorateTimeline() {
+    pageRoot.querySelectorAll('[data-resume-section]').forEach(container => {
+        const section = container.dataset.resumeSection;
+        if (!ENTRY_FIELDS[section]) return;
+        const entries = content.resume[section] || [];
+
+        container.querySelectorAll('.timeline-item').forEach(item => {
+            const id = item.getAttribute('aria-labelledby');
+            if (!entries.some(entry => entry.id === id) || item.querySelector('.edit-entry-button')) return;
+
+            const button = createButton('edit-ui edit-button edit-entry-button', 'edit.entry.edit');
+            button.setAttribute('aria-describedby', id);
+            button.addEventListener('click', () => openEntryForm(section, id, button));
+            item.querySelector('.timeline-content').appendChild(button);
+        });
+
+        if (!document.querySelector(`.edit-add-entry[data-section="${section}"]`)) {
+            const add = createButton('edit-ui edit-button edit-add-entry', 'edit.entry.add');
+            add.dataset.section = section;
+            add.addEventListener('click', () => openEntryForm(section, null, add));
+            container.before(add);
+        }
+    });
+    placeEntryForm();
+}
+
+function getSkillCategoryKey(category) {
+    const title = category.querySelector('.skill-category-title [data-i18n]');
+    return title ? title.dataset.i18n : null;
+}
+
+function getSkillCategoryName(category) {
+    return category.querySelector('.skill-category-title').textContent.trim();
+}
+
+function openSkillsForm(category, trigger) {
+    commitText();
+    closeForm();
+    const key = getSkillCategoryKey(category);
+
+    const form = createElement('form', 'edit-ui edit-form edit-form--skills');
+    const label = form.appendChild(createElement('label', 'edit-field-input'));
+    label.appendChild(createElement('span', 'edit-field-label', t('edit.skills.label', { category: getSkillCategoryName(category) })));
+    const input = label.appendChild(createElement('input', 'edit-input'));
+    input.name = 'skills';
+    input.value = (content.skills[key] || []).join(', ');
+    input.setAttribute('aria-describedby', 'edit-hint-skills');
+    form.appendChild(createElement('p', 'edit-field-hint', t('edit.hints.skills'))).id = 'edit-hint-skills';
+    createFormActions(form);
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const skills = parseFieldValue({ type: 'list' }, input.value) || [];
+        closeForm({ returnFocus: true });
+        update(next => {
+            next.skills = { ...next.skills, [key]: skills };
+        });
+    });
+
+    openForm = { element: form, trigger };
+    trigger.after(form);
+    input.focus();
+}
+
+/**
+ * "Edit tags" below every skill category
+ */
+function decorateSkills() {
+    pageRoot.querySelectorAll('.skill-category').forEach(category => {
+        if (!getSkillCategoryKey(category)) return;
+
+        let button = category.querySelector('.edit-skills-button');
+        if (!button) {
+            button = createButton('edit-ui edit-button edit-skills-button', 'edit.skills.edit');
+            button.addEventListener('click', () => openSkillsForm(category, button));
+            category.appendChild(button);
+        }
+        button.setAttribute('aria-label', t('edit.skills.editLabel', { category: getSkillCategoryName(category) }));
+    });
+}
+
+// ==========================================
+// Toolbar, Preview & Export
+// ==========================================
+
+function setStatus(key, params = {}) {
+    if (!statusLine) return;
+    statusLine.dataset.i18n = key;
+    statusLine.dataset.i18nParams = JSON.stringify(params);
+    statusLine.textContent = t(key, params);
+}
+
+function updateToolbar() {
+    if (!toolbar) return;
+    const setDisabled = (action, isDisabled) => {
+        toolbar.querySelector(`[data-edit-action="${action}"]`).setAttribute('aria-disabled', String(isDisabled));
+    };
+    setDisabled('undo', !undoStack.length);
+    setDisabled('redo', !redoStack.length);
+    setDisabled('discard', !hasChanges());
+    toolbar.querySelector('[data-edit-action="preview"]').setAttribute('aria-pressed', String(previewing));
+    toolbar.querySelector('.edit-toolbar-language select').value = currentLocale;
+}
+
+/**
+ * Preview shows the page as visitors will see it
+ */
+export function setPreview(isPreview) {
+    commitText();
+    closeForm();
+    previewing = isPreview;
+    document.documentElement.classList.toggle('is-edit-preview', isPreview);
+    setTextEditable(!isPreview);
+    updateToolbar();
+}
+
+function downloadFile(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    setStatus('edit.status.exported', { file: fileName });
+}
+
+/**
+ * Every file the content lives in, ready to replace the published ones
+ */
+export function buildContentFile() {
+    const files = {};
+    Object.keys(content.messages).forEach(lang => {
+        files[`locales/${lang}.json`] = content.messages[lang];
+    });
+    files['data/resume.json'] = content.resume;
+    return { exportedAt: new Date().toISOString(), files, skills: content.skills };
+}
+
+function exportJson() {
+    commitText();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`${JSON.stringify(buildContentFile(), null, 2)}\n`, `portfolio-content-${date}.json`, 'application/json');
+}
+
+const normalizeSpace = text => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Default-locale text written into the markup, so the page reads
+ * right before the dictionaries load. Only changed text is touched.
+ */
+function writeDefaultText(doc, messages) {
+    const isPlain = (element, key) => typeof messages[key] === 'string' && !element.dataset.i18nParams;
+
+    doc.querySelectorAll('[data-i18n]').forEach(element => {
+        const key = element.dataset.i18n;
+        if (isPlain(element, key) && normalizeSpace(element.textContent) !== normalizeSpace(messages[key])) {
+            element.textContent = messages[key];
+        }
+    });
+    doc.querySelectorAll('[data-i18n-html]').forEach(element => {
+        const key = element.dataset.i18nHtml;
+        if (isPlain(element, key) && normalizeSpace(element.innerHTML) !== normalizeSpace(messages[key])) {
+            element.innerHTML = messages[key];
+        }
+    });
+    doc.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && isPlain(element, key) && element.getAttribute(attribute) !== messages[key]) {
+                element.setAttribute(attribute, messages[key]);
+            }
+        });
+    });
+}
+
+/**
+ * The published index.html with the edited skill tags and default text
+ */
+export async function buildIndexHtml() {
+    // no-cache also makes sw.js pass the request through to the network
+    const response = await fetch('index.html', { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    writeDefaultText(doc, content.messages[DEFAULT_LOCALE] || {});
+    writeSkillTags(doc, content.skills);
+    return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}\n`;
+}
+
+async function exportHtml() {
+    commitText();
+    try {
+        downloadFile(await buildIndexHtml(), 'index.html', 'text/html');
+    } catch (error) {
+        console.warn('Could not export index.html:', error);
+        setStatus('edit.status.exportFailed');
+    }
+}
+
+/**
+ * Leave edit mode: lock it again and reload without ?edit. The draft
+ * stays for the next session.
+ */
+function exitEditMode() {
+    commitText();
+    sessionStorage.removeItem(UNLOCKED_KEY);
+    const url = new URL(window.location.href);
+    url.searchParams.delete('edit');
+    window.location.assign(url.href);
+}
+
+const TOOLBAR_ACTIONS = {
+    undo,
+    redo,
+    preview: () => setPreview(!previewing),
+    'export-html': exportHtml,
+    'export-json': exportJson,
+    discard: discardChanges,
+    exit: exitEditMode
+};
+
+function renderToolbar() {
+    toolbar = createElement('div', 'edit-ui edit-toolbar');
+    toolbar.setAttribute('role', 'region');
+    toolbar.setAttribute('data-i18n-attr', 'aria-label:edit.toolbar');
+    toolbar.setAttribute('aria-label', t('edit.toolbar'));
+
+    statusLine = toolbar.appendChild(createElement('p', 'edit-status'));
+    statusLine.setAttribute('role', 'status');
+
+    // Text edits go to the language the page shows
+    const language = toolbar.appendChild(createElement('label', 'edit-toolbar-language'));
+    language.appendChild(createTranslated('span', null, 'edit.language'));
+    const select = language.appendChild(createElement('select', 'edit-input'));
+    Object.keys(LOCALES).forEach(code => {
+        const option = select.appendChild(createElement('option', null, LOCALES[code].name));
+        option.value = code;
+        option.lang = code;
+    });
+    select.addEventListener('change', () => {
+        commitText();
+        setLanguage(select.value);
+    });
+
+    [
+        ['undo', 'edit.undo', 'Control+Z Meta+Z'],
+        ['redo', 'edit.redo', 'Control+Shift+Z Control+Y Meta+Shift+Z'],
+        ['preview', 'edit.preview'],
+        ['export-html', 'edit.exportHtml'],
+        ['export-json', 'edit.exportJson'],
+        ['discard', 'edit.discard'],
+        ['exit', 'edit.exit']
+    ].forEach(([action, key, shortcuts]) => {
+        const button = toolbar.appendChild(createButton('edit-button', key));
+        button.dataset.editAction = action;
+        if (shortcuts) button.setAttribute('aria-keyshortcuts', shortcuts);
+    });
+
+    toolbar.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-edit-action]');
+        if (!button || button.getAttribute('aria-disabled') === 'true') return;
+        TOOLBAR_ACTIONS[button.dataset.editAction]();
+    });
+
+    document.body.appendChild(toolbar);
+    updateToolbar();
+}
+
+// ==========================================
+// Lifecycle
+// ==========================================
+
+async function startEditing() {
+    const loaded = await hooks.loadContent();
+    published = { ...clone(loaded), skills: readSkillTags(pageRoot) };
+
+    const draft = readDraft();
+    content = draft ? { ...clone(published), ...draft.content } : clone(published);
+    undoStack = [];
+    redoStack = [];
+
+    document.documentElement.classList.add('is-editing');
+    renderToolbar();
+    decorateText();
+    decorateTimeline();
+    decorateSkills();
+
+    cleanup.push(
+        listen(document, 'input', handleInput),
+        listen(document, 'paste', handlePaste),
+        listen(document, 'keydown', handleKeydown),
+        listen(document, 'focusout', handleFocusOut),
+        listen(document, 'click', handleClick),
+        listen(document, 'timelinerender', decorateTimeline),
+        listen(document, 'languagechange', () => {
+            decorateSkills();
+            updateToolbar();
+        })
+    );
+
+    if (draft) {
+        await showContent();
+        setStatus('edit.status.restored', { time: formatTime(draft.savedAt, { dateStyle: 'medium', timeStyle: 'short' }) });
+    } else {
+        setStatus('edit.status.ready');
+    }
+}
+
+/**
+ * Start edit mode; asks for the passphrase unless this tab is unlocked.
+ * Options: loadContent and applyContent (see above).
+ */
+export function init(root = document, { loadContent, applyContent } = {}) {
+    destroy();
+    pageRoot = root;
+    hooks = { loadContent, applyContent };
+
+    if (sessionStorage.getItem(UNLOCKED_KEY) === 'true') {
+        return startEditing();
+    }
+    openUnlockDialog();
+    return Promise.resolve();
+}
+
+export function destroy() {
+    runCleanup(cleanup);
+    clearTimeout(commitTimer);
+    pendingText = null;
+    closeForm();
+    closeUnlockDialog();
+    if (previewing) setPreview(false);
+
+    document.querySelectorAll('.edit-text').forEach(element => {
+        element.classList.remove('edit-text');
+        element.removeAttribute('contenteditable');
+    });
+    document.querySelectorAll('.edit-ui').forEach(element => element.remove());
+    document.documentElement.classList.remove('is-editing');
+    toolbar = null;
+    statusLine = null;
+    hooks = null;
+}
@@ -0,0 +1,266 @@
+/**
+ * Markdown renderer for the posts in posts/*.md.
+ *
+ * Markdown is turned into DOM nodes, never into an HTML string:
+ * raw HTML in a post stays text, and only http(s)/mailto/relative
+ * URLs become links or images. That is the sanitizer.
+ */
+
+import { createElement } from './utils.js';
+
+/**
+ * Absolute http(s) (and optionally mailto) URL, or null
+ */
+function safeUrl(url, { allowMailto = true } = {}) {
+    try {
+        const parsed = new URL(url, window.location.href);
+        const allowed = ['http:', 'https:'].concat(allowMailto ? ['mailto:'] : []);
+        return allowed.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+const INLINE_PATTERN = new RegExp([
+    '(`+)([\\s\\S]*?[^`])\\1(?!`)',                           // 1-2: code
+    '!\\[([^\\]]*)\\]\\(([^)\\s]+)(?:\\s+"([^"]*)")?\\)',     // 3-5: image
+    '\\[([^\\]]+)\\]\\(([^)\\s]+)(?:\\s+"([^"]*)")?\\)',      // 6-8: link
+    '(\\*\\*|__)(?=\\S)([\\s\\S]*?\\S)\\9',                   // 9-10: strong
+    '(\\*|_)(?=\\S)([\\s\\S]*?\\S)\\11',                      // 11-12: emphasis
+    '<(https?://[^>\\s]+)>'                                   // 13: autolink
+].join('|'), 'g');
+
+function appendLink(parent, href, title) {
+    const url = safeUrl(href);
+    if (!url) return parent.appendChild(createElement('span'));
+
+    const link = createElement('a');
+    link.href = url;
+    if (title) link.title = title;
+    if (new URL(url).origin !== window.location.origin && !url.startsWith('mailto:')) {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+    }
+    return parent.appendChild(link);
+}
+
+/**
+ * Inline markup: code, images, links, strong, emphasis, autolinks
+ */
+function appendInline(parent, text, createImage) {
+    let lastIndex = 0;
+    INLINE_PATTERN.lastIndex = 0;
+
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        if (match.index > lastIndex) {
+            parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+        lastIndex = match.index + match[0].length;
+
+        if (match[1]) {
+            parent.appendChild(createElement('code', null, match[2].trim()));
+        } else if (match[4] !== undefined) {
+            const src = safeUrl(match[4], { allowMailto: false });
+            if (src) {
+                parent.appendChild(createImage({ src, alt: match[3], title: match[5] }));
+            } else {
+                parent.appendChild(document.createTextNode(match[3]));
+            }
+        } else if (match[7] !== undefined) {
+            appendInline(appendLink(parent, match[7], match[8]), match[6], createImage);
+        } else if (match[9]) {
+            appendInline(parent.appendChild(createElement('strong')), match[10], createImage);
+        } else if (match[11]) {
+            appendInline(parent.appendChild(createElement('em')), match[12], createImage);
+        } else if (match[13]) {
+            appendLink(parent, match[13]).textContent = match[13];
+        }
+    }
+
+    if (lastIndex < text.length) {
+        parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+}
+
+/**
+ * Token rules per language for the code highlighter. Order matters:
+ * the first rule to match at a position wins.
+ */
+const CODE_GRAMMARS = {
+    js: [
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+        ['string', /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\[\s\S]|[^`\\])*`/],
+        ['keyword', /\b(?:async|await|break|case|catch|class|const|continue|default|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|interface|let|new|of|return|static|switch|this|throw|try|type|typeof|var|while|yield)\b/],
+        ['literal', /\b(?:true|false|null|undefined|NaN|Infinity)\b/],
+        ['number', /\b\d+(?:\.\d+)?\b/]
+    ],
+    java: [
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+        ['string', /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])'/],
+        ['keyword', /\b(?:abstract|break|case|catch|class|continue|default|do|else|enum|extends|final|finally|for|if|implements|import|instanceof|interface|new|package|private|protected|public|record|return|static|super|switch|this|throw|throws|try|var|void|while)\b/],
+        ['literal', /\b(?:true|false|null)\b/],
+        ['number', /\b\d+(?:\.\d+)?[dDfFlL]?\b/],
+        ['meta', /@\w+/]
+    ],
+    json: [
+        ['property', /"(?:\\.|[^"\\])*"(?=\s*:)/],
+        ['string', /"(?:\\.|[^"\\])*"/],
+        ['literal', /\b(?:true|false|null)\b/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+    ],
+    bash: [
+        ['comment', /#[^\n]*/],
+        ['string', /"(?:\\.|[^"\\])*"|'[^']*'/],
+        ['keyword', /\b(?:if|then|else|elif|fi|for|in|do|done|case|esac|while|function|export|local|return)\b/],
+        ['variable', /\$\{?\w+\}?/]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?\*\//],
+        ['string', /"[^"]*"|'[^']*'/],
+        ['keyword', /@[\w-]+/],
+        ['property', /[\w-]+(?=\s*:)/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:px|rem|em|vh|vw|%|s|ms|deg)?/]
+    ],
+    html: [
+        ['comment', /<!--[\s\S]*?-->/],
+        ['keyword', /<\/?[\w-]+|\/?>/],
+        ['property', /\b[\w-]+(?==)/],
+        ['string', /"[^"]*"|'[^']*'/]
+    ]
+};
+const CODE_ALIASES = {
+    javascript: 'js', ts: 'js', typescript: 'js', jsx: 'js', tsx: 'js',
+    sh: 'bash', shell: 'bash', zsh: 'bash', xml: 'html', svg: 'html', kotlin: 'java'
+};
+
+/**
+ * Append code to a <code> element as text and .token-* spans
+ */
+function highlightCode(code, source, language) {
+    const grammar = CODE_GRAMMARS[CODE_ALIASES[language] || language];
+    if (!grammar) {
+        code.textContent = source;
+        return;
+    }
+
+    // Rules must not capture, so group n + 1 is rule n
+    const pattern = new RegExp(grammar.map(([, rule]) => `(${rule.source})`).join('|'), 'g');
+
+    let lastIndex = 0;
+    for (const match of source.matchAll(pattern)) {
+        if (match.index > lastIndex) {
+            code.appendChild(document.createTextNode(source.slice(lastIndex, match.index)));
+        }
+        const ruleIndex = match.slice(1).findIndex(group => group !== undefined);
+        code.appendChild(createElement('span', `token-${grammar[ruleIndex][0]}`, match[0]));
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < source.length) {
+        code.appendChild(document.createTextNode(source.slice(lastIndex)));
+    }
+}
+
+function createPlainImage({ src, alt = '', title }) {
+    const img = createElement('img');
+    img.loading = 'lazy';
+    img.alt = alt;
+    if (title) img.title = title;
+    img.src = src;
+    return img;
+}
+
+const BLOCK_START = /^(?:#{1,6}\s|```|~~~|>|\s*(?:[-*+]|\d+[.)])\s|(?:[-*_]\s*){3,}$)/;
+
+/**
+ * Block markup: headings (shifted by headingOffset so they sit below
+ * the page's own), fenced code, quotes, lists, rules, paragraphs.
+ * createImage({ src, alt, title }) builds the element for an image.
+ */
+export function renderMarkdown(source, { headingOffset = 2, createImage = createPlainImage } = {}) {
+    const fragment = document.createDocumentFragment();
+    const lines = source.replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(/^(```|~~~)\s*([\w+-]*)/);
+        if (fence) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].startsWith(fence[1])) {
+                codeLines.push(lines[i++]);
+            }
+            i++; // closing fence
+
+            const pre = createElement('pre', 'code-block');
+            const code = pre.appendChild(createElement('code'));
+            if (fence[2]) {
+                code.className = `language-${fence[2].toLowerCase()}`;
+                pre.dataset.language = fence[2].toLowerCase();
+            }
+            highlightCode(code, codeLines.join('\n'), fence[2].toLowerCase());
+            fragment.appendChild(pre);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = Math.min(heading[1].length + headingOffset, 6);
+            appendInline(fragment.appendChild(createElement(`h${level}`)), heading[2], createImage);
+            i++;
+            continue;
+        }
+
+        if (/^(?:[-*_]\s*){3,}$/.test(line)) {
+            fragment.appendChild(createElement('hr'));
+            i++;
+            continue;
+        }
+
+        if (line.startsWith('>')) {
+            const quoted = [];
+            while (i < lines.length && lines[i].startsWith('>')) {
+                quoted.push(lines[i++].replace(/^>\s?/, ''));
+            }
+            const blockquote = createElement('blockquote');
+            blockquote.appendChild(renderMarkdown(quoted.join('\n'), { headingOffset, createImage }));
+            fragment.appendChild(blockquote);
+            continue;
+        }
+
+        const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+        if (listItem) {
+            const ordered = /\d/.test(listItem[1]);
+            const list = createElement(ordered ? 'ol' : 'ul');
+            while (i < lines.length) {
+                const item = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+                if (!item || /\d/.test(item[1]) !== ordered) break;
+
+                // Indented lines continue the item
+                let text = item[2];
+                i++;
+                while (i < lines.length && /^\s{2,}\S/.test(lines[i]) && !/^\s*([-*+]|\d+[.)])\s/.test(lines[i])) {
+                    text += ` ${lines[i++].trim()}`;
+                }
+                appendInline(list.appendChild(createElement('li')), text, createImage);
+            }
+            fragment.appendChild(list);
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !BLOCK_START.test(lines[i])) {
+            paragraph.push(lines[i++].trim());
+        }
+        appendInline(fragment.appendChild(createElement('p')), paragraph.join(' '), createImage);
+    }
+
+    return fragment;
+}
@@ -0,0 +1,635 @@
+/**
+ * Career chart: work and education side by side on one year axis
+ * (SVG Gantt bars), with hover/focus tooltips, keyboard zoom and pan
+ * and a data table for screen readers
+ */
+
+import { createElement, listen, runCleanup } from '../utils.js';
+import { currentLocale, t } from './language.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const DEFAULT_WIDTH = 720;
+const PADDING_X = 16;
+const AXIS_HEIGHT = 28;
+const GROUP_HEIGHT = 28;
+const ROW_HEIGHT = 40;
+const BAR_HEIGHT = 12;
+const MIN_SPAN = 2;
+const ZOOM_FACTOR = 1.5;
+const PAN_STEP = 0.25;
+const TICK_STEPS = [1, 2, 5, 10];
+const MIN_TICK_GAP = 56;
+
+let chart = null;
+let plot = null;
+let table = null;
+let rangeLabel = null;
+let tooltip = null;
+let svg = null;
+let clipRect = null;
+let grid = null;
+let todayLine = null;
+let controls = {};
+let sections = [];
+let rows = [];
+let domain = null;
+let view = null;
+let width = DEFAULT_WIDTH;
+let height = 0;
+let activeRow = null;
+let drag = null;
+let dragged = false;
+let matchingIds = null;
+let lastRender = null;
+const cleanup = [];
+
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * "2018-08" as a fractional year: start dates count from the first
+ * of the month, end dates to its last day, a bare year is its middle
+ */
+function toYearValue(date, { end = false } = {}) {
+    const [year, month] = date.split('-').map(Number);
+    if (!month) return year + 0.5;
+    return year + (end ? month : month - 1) / 12;
+}
+
+function getCurrentYearValue() {
+    const now = new Date();
+    return now.getFullYear() + (now.getMonth() + 1) / 12;
+}
+
+/**
+ * "Aug 2018", or just the year when that's all the data says
+ */
+function formatChartDate(date) {
+    const [year, month] = date.split('-').map(Number);
+    if (!month) return String(year);
+    return new Intl.DateTimeFormat(currentLocale, { month: 'short', year: 'numeric' })
+        .format(new Date(year, month - 1, 1));
+}
+
+function formatPeriod(row) {
+    if (row.milestone) return formatChartDate(row.end);
+    return `${formatChartDate(row.start)} – ${row.end ? formatChartDate(row.end) : t('timeline.present')}`;
+}
+
+/**
+ * "2 yrs 5 mos"; milestones have no duration
+ */
+function formatDuration(row) {
+    if (row.milestone) return '';
+    const months = Math.max(1, Math.round((row.to - row.from) * 12));
+    const years = Math.floor(months / 12);
+    return [
+        years ? t('chart.years', { count: years }) : '',
+        months % 12 ? t('chart.months', { count: months % 12 }) : ''
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Place a group's entries on the year axis. Open-ended entries run
+ * until today; entries with only an end date (a degree) are milestones.
+ */
+function toRows(group) {
+    return group.entries
+        .filter(entry => entry.start || entry.end)
+        .map(entry => {
+            const milestone = !entry.start;
+            const from = toYearValue(entry.start || entry.end);
+            let to = from;
+            if (!milestone) {
+                to = entry.end ? toYearValue(entry.end, { end: true }) : getCurrentYearValue();
+            }
+            return { ...entry, group: group.id, milestone, from, to };
+        });
+}
+
+function toX(year) {
+    const x = PADDING_X + (year - view.start) / (view.end - view.start) * (width - 2 * PADDING_X);
+    return Math.round(x * 10) / 10;
+}
+
+function toYear(x) {
+    return view.start + (x - PADDING_X) / (width - 2 * PADDING_X) * (view.end - view.start);
+}
+
+function isRowInView(row) {
+    return row.to >= view.start && row.from <= view.end;
+}
+
+function getRowFromEvent(event) {
+    const bar = event.target.closest && event.target.closest('.career-chart-bar');
+    return bar ? rows.find(row => row.element === bar) : null;
+}
+
+/**
+ * Show a year range, kept inside the data and at least MIN_SPAN wide
+ */
+function setView(start, end) {
+    if (!domain) return;
+    const span = Math.min(Math.max(end - start, MIN_SPAN), domain.end - domain.start);
+    const clampedStart = Math.min(Math.max(start, domain.start), domain.end - span);
+    view = { start: clampedStart, end: clampedStart + span };
+    layoutChart();
+}
+
+/**
+ * Zoom by a factor (> 1 zooms in), keeping the year under center in place
+ */
+function zoom(factor, center) {
+    if (!view) return;
+    const span = view.end - view.start;
+    const focus = center === undefined ? view.start + span / 2 : center;
+    const nextSpan = Math.min(Math.max(span / factor, MIN_SPAN), domain.end - domain.start);
+    const start = focus - (focus - view.start) / span * nextSpan;
+    setView(start, start + nextSpan);
+}
+
+function pan(direction) {
+    if (!view) return;
+    const shift = (view.end - view.start) * PAN_STEP * direction;
+    setView(view.start + shift, view.end + shift);
+}
+
+function resetView() {
+    if (domain) setView(domain.start, domain.end);
+}
+
+/**
+ * Pan a bar into view when keyboard focus lands on it
+ */
+function revealRow(row) {
+    if (isRowInView(row)) return;
+    const span = view.end - view.start;
+    const middle = (row.from + row.to) / 2;
+    setView(middle - span / 2, middle + span / 2);
+}
+
+const CHART_ACTIONS = {
+    'zoom-in': () => zoom(ZOOM_FACTOR),
+    'zoom-out': () => zoom(1 / ZOOM_FACTOR),
+    reset: resetView
+};
+
+function positionTooltip(row) {
+    if (!isRowInView(row)) {
+        tooltip.hidden = true;
+        return;
+    }
+    tooltip.hidden = false;
+    // Centered on the visible part of the bar, but never past the edges
+    const middle = row.milestone ? row.from : (Math.max(row.from, view.start) + Math.min(row.to, view.end)) / 2;
+    const half = Math.min(tooltip.offsetWidth / 2, width / 2);
+    tooltip.style.left = `${Math.min(Math.max(toX(middle), half), width - half)}px`;
+    // Rows in the lower half get theirs above, inside the chart
+    const above = row.y > height / 2;
+    tooltip.classList.toggle('is-above', above);
+    tooltip.style.top = `${above ? row.y : row.y + 20 + BAR_HEIGHT + 8}px`;
+}
+
+function showTooltip(row) {
+    if (row === activeRow && !tooltip.hidden) return;
+    activeRow = row;
+
+    const details = [formatPeriod(row), formatDuration(row)].filter(Boolean).join(' · ');
+    tooltip.replaceChildren(createElement('strong', 'career-chart-tooltip-title', row.title));
+    if (row.subtitle) {
+        tooltip.appendChild(createElement('span', null, row.subtitle));
+    }
+    tooltip.appendChild(createElement('span', 'career-chart-tooltip-period', details));
+    positionTooltip(row);
+}
+
+function hideTooltip() {
+    activeRow = null;
+    if (tooltip) tooltip.hidden = true;
+}
+
+/**
+ * Year ticks, as dense as the zoom level leaves room for
+ */
+function drawTicks() {
+    const pixelsPerYear = (width - 2 * PADDING_X) / (view.end - view.start);
+    const step = TICK_STEPS.find(candidate => candidate * pixelsPerYear >= MIN_TICK_GAP) || TICK_STEPS[TICK_STEPS.length - 1];
+    const ticks = [];
+
+    for (let year = Math.ceil(view.start / step) * step; year <= view.end; year += step) {
+        const x = toX(year);
+        const label = createSvgElement('text', { class: 'career-chart-year', x, y: 16 });
+        label.textContent = year;
+        ticks.push(createSvgElement('line', { class: 'career-chart-tick', x1: x, x2: x, y1: AXIS_HEIGHT - 6, y2: height }), label);
+    }
+    grid.replaceChildren(...ticks);
+}
+
+/**
+ * Disabled-looking controls stay focusable, so zooming all the way
+ * in doesn't drop keyboard focus
+ */
+function updateControls() {
+    const span = view.end - view.start;
+    const whole = span >= domain.end - domain.start - 0.001;
+    const states = { 'zoom-in': span <= MIN_SPAN + 0.001, 'zoom-out': whole, reset: whole };
+
+    Object.entries(controls).forEach(([action, button]) => {
+        button.setAttribute('aria-disabled', String(Boolean(states[action])));
+    });
+    if (rangeLabel) {
+        // Years as strings, so they don't get thousands separators
+        const from = Math.floor(view.start);
+        const to = Math.max(from, Math.ceil(view.end) - 1);
+        rangeLabel.textContent = t('chart.range', { from: String(from), to: String(to) });
+    }
+}
+
+/**
+ * Labels hug the visible part of their bar; bars that start in the
+ * right half are labelled from their end so the text stays on screen
+ */
+function positionLabel(row, x) {
+    const start = row.milestone ? x - BAR_HEIGHT / 2 : x;
+    const end = row.milestone ? x + BAR_HEIGHT / 2 : toX(row.to);
+    const fromEnd = start > width / 2;
+    let labelX = fromEnd ? end : start;
+
+    if (isRowInView(row)) {
+        labelX = fromEnd ? Math.min(end, width - PADDING_X) : Math.max(start, PADDING_X);
+    }
+    row.label.setAttribute('text-anchor', fromEnd ? 'end' : 'start');
+    row.label.setAttribute('x', labelX);
+}
+
+/**
+ * Position everything for the current width and year range.
+ * Bars are moved, never rebuilt, so focus survives zooming.
+ */
+function layoutChart() {
+    if (!svg) return;
+    width = plot.clientWidth || DEFAULT_WIDTH;
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    clipRect.setAttribute('width', width - 2 * PADDING_X);
+
+    drawTicks();
+
+    rows.forEach(row => {
+        const x = toX(row.from);
+        const barY = row.y + 20;
+        if (row.milestone) {
+            const size = BAR_HEIGHT / 2 + 1;
+            const middle = barY + BAR_HEIGHT / 2;
+            row.shape.setAttribute('d', `M ${x} ${middle - size} L ${x + size} ${middle} L ${x} ${middle + size} L ${x - size} ${middle} Z`);
+        } else {
+            row.shape.setAttribute('x', x);
+            row.shape.setAttribute('width', Math.max(toX(row.to) - x, 2));
+        }
+        positionLabel(row, x);
+    });
+
+    const today = toX(getCurrentYearValue());
+    todayLine.setAttribute('x1', today);
+    todayLine.setAttribute('x2', today);
+
+    updateControls();
+    if (activeRow) positionTooltip(activeRow);
+}
+
+function buildSvg() {
+    svg = createSvgElement('svg', { class: 'career-chart-svg', role: 'group', 'aria-label': t('chart.label') });
+    const clipPath = createSvgElement('clipPath', { id: 'career-chart-clip' });
+    clipRect = createSvgElement('rect', { x: PADDING_X, y: 0, height: '100%' });
+    clipPath.appendChild(clipRect);
+    grid = createSvgElement('g', { class: 'career-chart-grid', 'aria-hidden': 'true' });
+    const bars = createSvgElement('g', { 'clip-path': 'url(#career-chart-clip)' });
+    const headings = createSvgElement('g', { 'aria-hidden': 'true' });
+
+    let y = AXIS_HEIGHT;
+    sections.forEach(section => {
+        const heading = createSvgElement('text', { class: 'career-chart-group', x: PADDING_X, y: y + 18 });
+        heading.textContent = section.label;
+        headings.appendChild(heading);
+        y += GROUP_HEIGHT;
+
+        section.rows.forEach(row => {
+            row.y = y;
+            row.element = createSvgElement('a', {
+                href: `#${row.id}`,
+                class: `career-chart-bar career-chart-bar--${section.id}`,
+                'aria-label': [row.title, row.subtitle, formatPeriod(row), formatDuration(row)].filter(Boolean).join(', ')
+            });
+            row.shape = row.milestone
+                ? createSvgElement('path', { class: 'career-chart-shape' })
+                : createSvgElement('rect', { class: 'career-chart-shape', y: y + 20, height: BAR_HEIGHT, rx: BAR_HEIGHT / 2 });
+            row.label = createSvgElement('text', { class: 'career-chart-label', y: y + 14 });
+            row.label.textContent = row.title;
+            row.element.append(row.shape, row.label);
+            bars.appendChild(row.element);
+            y += ROW_HEIGHT;
+        });
+    });
+    height = y + 8;
+
+    todayLine = createSvgElement('line', { class: 'career-chart-today', y1: AXIS_HEIGHT - 6, y2: height, 'aria-hidden': 'true' });
+    bars.prepend(todayLine);
+    svg.append(clipPath, grid, headings, bars);
+    plot.prepend(svg);
+}
+
+/**
+ * The same entries as rows of a table, one <tbody> per group
+ */
+function renderTable() {
+    if (!table) return;
+    Array.from(table.tBodies).forEach(body => body.remove());
+
+    sections.forEach(section => {
+        const body = table.createTBody();
+        const heading = body.insertRow().appendChild(createElement('th', null, section.label));
+        heading.scope = 'rowgroup';
+        heading.colSpan = 3;
+
+        section.rows.forEach(row => {
+            const name = createElement('th', null, row.subtitle ? `${row.title}, ${row.subtitle}` : row.title);
+            name.scope = 'row';
+            row.tableRow = body.insertRow();
+            row.tableRow.append(name, createElement('td', null, formatPeriod(row)), createElement('td', null, formatDuration(row) || '–'));
+        });
+    });
+}
+
+/**
+ * Dim entries the timeline filters hide; they also leave the tab
+ * order and the table
+ */
+function applyMatchingEntries() {
+    rows.forEach(row => {
+        const dimmed = Boolean(matchingIds) && !matchingIds.has(row.id);
+        row.element.classList.toggle('is-dimmed', dimmed);
+        if (dimmed) {
+            row.element.setAttribute('aria-hidden', 'true');
+            row.element.setAttribute('tabindex', '-1');
+        } else {
+            row.element.removeAttribute('aria-hidden');
+            row.element.removeAttribute('tabindex');
+        }
+        if (row.tableRow) {
+            row.tableRow.hidden = dimmed;
+        }
+    });
+    if (activeRow && activeRow.element.classList.contains('is-dimmed')) {
+        hideTooltip();
+    }
+}
+
+/**
+ * Draw the chart. groups: [{ id, label, entries: [{ id, title,
+ * subtitle, start, end }] }] with "YYYY-MM" or "YYYY" dates;
+ * emptyText is shown when there is nothing to plot.
+ */
+export function render(groups, { emptyText = '' } = {}) {
+    lastRender = [groups, { emptyText }];
+    if (!chart) return;
+
+    hideTooltip();
+    if (svg) svg.remove();
+    svg = null;
+    plot.querySelectorAll('.career-chart-empty').forEach(note => note.remove());
+
+    sections = groups
+        .map(group => ({ id: group.id, label: group.label, rows: toRows(group) }))
+        .filter(section => section.rows.length);
+    rows = sections.reduce((all, section) => all.concat(section.rows), []);
+    renderTable();
+
+    if (!rows.length) {
+        domain = null;
+        view = null;
+        if (emptyText) {
+            plot.prepend(createElement('p', 'career-chart-empty timeline-text', emptyText));
+        }
+        return;
+    }
+
+    const start = Math.floor(Math.min(...rows.map(row => row.from)));
+    domain = { start, end: Math.max(Math.ceil(Math.max(...rows.map(row => row.to))), start + MIN_SPAN) };
+    buildSvg();
+    // Re-renders (a language switch) keep the zoom level
+    if (view) {
+        setView(view.start, view.end);
+    } else {
+        resetView();
+    }
+    applyMatchingEntries();
+}
+
+/**
+ * Entries (by id) that match the timeline filters; null shows all
+ */
+export function setMatchingEntries(ids) {
+    matchingIds = ids;
+    applyMatchingEntries();
+}
+
+/**
+ * +/- zoom, 0 resets, left/right pan, up/down move between bars
+ */
+function handleChartKeydown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || !view) return;
+    const row = getRowFromEvent(event);
+
+    switch (event.key) {
+        case '+':
+        case '=':
+            zoom(ZOOM_FACTOR, row && !row.milestone ? (row.from + row.to) / 2 : undefined);
+            break;
+        case '-':
+            zoom(1 / ZOOM_FACTOR);
+            break;
+        case '0':
+            resetView();
+            break;
+        case 'ArrowLeft':
+            pan(-1);
+            break;
+        case 'ArrowRight':
+            pan(1);
+            break;
+        case 'ArrowUp':
+        case 'ArrowDown': {
+            if (!row) return;
+            const focusable = rows.filter(candidate => !candidate.element.classList.contains('is-dimmed'));
+            const next = focusable[focusable.indexOf(row) + (event.key === 'ArrowDown' ? 1 : -1)];
+            if (!next) return;
+            next.element.focus();
+            break;
+        }
+        case 'Escape':
+            if (!activeRow) return;
+            hideTooltip();
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+function handleChartFocusIn(event) {
+    const row = getRowFromEvent(event);
+    if (!row) return;
+    revealRow(row);
+    showTooltip(row);
+}
+
+function handleChartFocusOut(event) {
+    if (!plot.contains(event.relatedTarget)) hideTooltip();
+}
+
+function handleChartHover(event) {
+    const row = getRowFromEvent(event);
+    if (row && !row.element.classList.contains('is-dimmed')) showTooltip(row);
+}
+
+/**
+ * Leaving the chart hides a hover tooltip, but not the focused bar's
+ */
+function handleChartLeave() {
+    const focused = rows.find(row => row.element === document.activeElement);
+    if (focused) {
+        showTooltip(focused);
+    } else {
+        hideTooltip();
+    }
+}
+
+/**
+ * Drag sideways to pan; a drag that ends on a bar doesn't follow its link
+ */
+function startDrag(event) {
+    if (event.button !== 0 || !view) return;
+    drag = { x: event.clientX, start: view.start };
+    dragged = false;
+}
+
+function moveDrag(event) {
+    if (!drag) return;
+    const dx = event.clientX - drag.x;
+    if (!dragged && Math.abs(dx) < 4) return;
+
+    dragged = true;
+    plot.classList.add('is-dragging');
+    const span = view.end - view.start;
+    const start = drag.start - dx / (width - 2 * PADDING_X) * span;
+    setView(start, start + span);
+}
+
+function endDrag() {
+    drag = null;
+    if (plot) plot.classList.remove('is-dragging');
+}
+
+function suppressDragClick(event) {
+    if (!dragged) return;
+    dragged = false;
+    event.preventDefault();
+}
+
+/**
+ * Pinch gestures arrive as ctrl+wheel; a plain wheel keeps scrolling the page
+ */
+function handleChartWheel(event) {
+    if (!event.ctrlKey || !view || !svg) return;
+    event.preventDefault();
+    const left = svg.getBoundingClientRect().left;
+    zoom(Math.exp(-event.deltaY / 200), toYear(event.clientX - left));
+}
+
+/**
+ * The width is only known once the panel is shown
+ */
+function handleChartResize() {
+    if (svg && (plot.clientWidth || DEFAULT_WIDTH) !== width) layoutChart();
+}
+
+/**
+ * Options: selector - the chart's container with a .career-chart-plot,
+ * an optional .career-chart-table, .career-chart-range and
+ * [data-chart-action] buttons (zoom-in, zoom-out, reset)
+ */
+export function init(root = document, { selector = '.career-chart' } = {}) {
+    destroy();
+    chart = root.querySelector(selector);
+    plot = chart && chart.querySelector('.career-chart-plot');
+    if (!plot) {
+        chart = null;
+        return;
+    }
+    table = chart.querySelector('.career-chart-table');
+    rangeLabel = chart.querySelector('.career-chart-range');
+
+    // Repeats what the bar's own label says, so only for the eyes
+    tooltip = createElement('div', 'career-chart-tooltip');
+    tooltip.setAttribute('aria-hidden', 'true');
+    tooltip.hidden = true;
+    plot.appendChild(tooltip);
+
+    chart.querySelectorAll('[data-chart-action]').forEach(button => {
+        const action = CHART_ACTIONS[button.dataset.chartAction];
+        if (!action) return;
+        controls[button.dataset.chartAction] = button;
+        cleanup.push(listen(button, 'click', action));
+    });
+
+    cleanup.push(
+        listen(plot, 'keydown', handleChartKeydown),
+        listen(plot, 'focusin', handleChartFocusIn),
+        listen(plot, 'focusout', handleChartFocusOut),
+        listen(plot, 'mouseover', handleChartHover),
+        listen(plot, 'mouseleave', handleChartLeave),
+        listen(plot, 'pointerdown', startDrag),
+        listen(plot, 'click', suppressDragClick, true),
+        listen(plot, 'wheel', handleChartWheel, { passive: false }),
+        listen(window, 'pointermove', moveDrag),
+        listen(window, 'pointerup', endDrag),
+        listen(window, 'pointercancel', endDrag),
+        listen(window, 'resize', handleChartResize),
+        listen(document, 'timelinetabchange', handleChartResize)
+    );
+
+    if (lastRender) {
+        render(...lastRender);
+    }
+}
+
+export function destroy() {
+    runCleanup(cleanup);
+    if (svg) svg.remove();
+    if (tooltip) tooltip.remove();
+    if (plot) {
+        plot.classList.remove('is-dragging');
+        plot.querySelectorAll('.career-chart-empty').forEach(note => note.remove());
+    }
+    if (table) {
+        Array.from(table.tBodies).forEach(body => body.remove());
+    }
+    chart = null;
+    plot = null;
+    table = null;
+    rangeLabel = null;
+    tooltip = null;
+    svg = null;
+    controls = {};
+    sections = [];
+    rows = [];
+    domain = null;
+    view = null;
+    activeRow = null;
+    drag = null;
+    dragged = false;
+}
@@ -0,0 +1,207 @@
+/**
+ * Count-up numbers: [data-count] elements count up from zero when they
+ * scroll into view, formatted for the active language
+ */
+
+import { createElement, listen, runCleanup } from '../utils.js';
+import { currentLocale } from './language.js';
+import { isReducedMotion } from './motion.js';
+
+// Counter element -> parsed options and animation state
+const counters = new Map();
+let counterObserver = null;
+const cleanup = [];
+
+/**
+ * Read a counter's options from its data attributes:
+ * data-count (number or any text, e.g. "∞"), data-prefix,
+ * data-suffix, data-decimals, data-duration (ms)
+ */
+function parseCounter(element) {
+    const raw = (element.dataset.count || '').trim();
+    const target = raw === '' ? NaN : Number(raw);
+    const decimals = element.dataset.decimals !== undefined
+        ? parseInt(element.dataset.decimals, 10)
+        : (raw.split('.')[1] || '').length;
+
+    return {
+        raw,
+        target,
+        numeric: Number.isFinite(target),
+        decimals: Number.isFinite(decimals) ? decimals : 0,
+        prefix: element.dataset.prefix || '',
+        suffix: element.dataset.suffix || '',
+        duration: parseInt(element.dataset.duration, 10) || 2000,
+        value: 0,
+        frame: null,
+        played: false,
+        label: null
+    };
+}
+
+/**
+ * Format a value in the active language; non-numeric counters keep
+ * their text, still wrapped in prefix and suffix
+ */
+function formatCounterValue(counter, value) {
+    const number = counter.numeric
+        ? new Intl.NumberFormat(currentLocale, {
+            minimumFractionDigits: counter.decimals,
+            maximumFractionDigits: counter.decimals
+        }).format(value)
+        : counter.raw;
+    return `${counter.prefix}${number}${counter.suffix}`;
+}
+
+function renderCounter(element, value) {
+    const counter = counters.get(element);
+    counter.value = value;
+    element.textContent = formatCounterValue(counter, value);
+}
+
+/**
+ * Screen readers get the final value only, never the count-up
+ */
+function renderCounterLabel(element) {
+    const counter = counters.get(element);
+    counter.label.textContent = formatCounterValue(counter, counter.target);
+}
+
+function settleCounter(element) {
+    const counter = counters.get(element);
+    cancelAnimationFrame(counter.frame);
+    counter.frame = null;
+    counter.played = true;
+    renderCounter(element, counter.numeric ? counter.target : 0);
+}
+
+/**
+ * Jump every counter to its final value
+ */
+export function settleCounters() {
+    counters.forEach((counter, element) => settleCounter(element));
+}
+
+/**
+ * Count a single counter up from zero with an ease-out curve
+ */
+function playCounter(element) {
+    const counter = counters.get(element);
+    if (!counter || !counter.numeric || isReducedMotion()) {
+        if (counter) settleCounter(element);
+        return;
+    }
+
+    cancelAnimationFrame(counter.frame);
+    counter.played = true;
+    const factor = Math.pow(10, counter.decimals);
+    const startTime = performance.now();
+
+    function step(currentTime) {
+        // Animations were turned off mid-count
+        if (isReducedMotion()) {
+            settleCounter(element);
+            return;
+        }
+
+        const progress = Math.min((currentTime - startTime) / counter.duration, 1);
+        const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+
+        if (progress < 1) {
+            renderCounter(element, Math.floor(easeOutQuart * counter.target * factor) / factor);
+            counter.frame = requestAnimationFrame(step);
+        } else {
+            counter.frame = null;
+            renderCounter(element, counter.target);
+        }
+    }
+
+    counter.frame = requestAnimationFrame(step);
+}
+
+/**
+ * Each counter plays when it enters the viewport, and replays after
+ * it has been scrolled fully out of view
+ */
+function handleCounterIntersection(entries) {
+    entries.forEach(entry => {
+        const counter = counters.get(entry.target);
+        if (!counter) return;
+        if (entry.isIntersecting) {
+            if (!counter.frame && counter.value !== counter.target) {
+                playCounter(entry.target);
+            }
+        } else if (counter.played && !isReducedMotion() && entry.boundingClientRect.height > 0) {
+            cancelAnimationFrame(counter.frame);
+            counter.frame = null;
+            renderCounter(entry.target, 0);
+        }
+    });
+}
+
+/**
+ * Re-format digits and labels for the new language
+ */
+function handleLanguageChange() {
+    counters.forEach((counter, element) => {
+        renderCounter(element, counter.value);
+        renderCounterLabel(element);
+    });
+}
+
+function handleMotionChange(event) {
+    if (event.detail.reduced) settleCounters();
+}
+
+/**
+ * Set up every counter below root.
+ * Options: selector - counter elements; threshold - visible share
+ * that starts the count
+ */
+export function init(root = document, { selector = '[data-count]', threshold = 0.6 } = {}) {
+    destroy();
+
+    root.querySelectorAll(selector).forEach(element => {
+        const counter = parseCounter(element);
+        counters.set(element, counter);
+
+        // The animated digits are decorative; the label carries the value
+        element.setAttribute('aria-hidden', 'true');
+        counter.label = createElement('span', 'sr-only');
+        element.after(counter.label);
+        renderCounterLabel(element);
+
+        if (!counter.numeric || isReducedMotion() || !('IntersectionObserver' in window)) {
+            settleCounter(element);
+            return;
+        }
+
+        renderCounter(element, 0);
+        if (!counterObserver) {
+            counterObserver = new IntersectionObserver(handleCounterIntersection, { threshold });
+        }
+        counterObserver.observe(element);
+    });
+
+    cleanup.push(
+        listen(document, 'languagechange', handleLanguageChange),
+        listen(document, 'motionchange', handleMotionChange)
+    );
+}
+
+/**
+ * Stop counting and leave the final values in place
+ */
+export function destroy() {
+    runCleanup(cleanup);
+    if (counterObserver) {
+        counterObserver.disconnect();
+        counterObserver = null;
+    }
+    counters.forEach((counter, element) => {
+        settleCounter(element);
+        counter.label.remove();
+        element.removeAttribute('aria-hidden');
+    });
+    counters.clear();
+}
@@ -0,0 +1,390 @@
+/**
+ * Cursor effects: a canvas layer that follows the mouse (trail, glow
+ * or off). Only runs with a fine pointer and motion allowed.
+ */
+
+import { listen, runCleanup } from '../utils.js';
+import { isReducedMotion } from './motion.js';
+
+const CURSOR_EFFECT_KEY = 'cursorEffect';
+const DEFAULT_CURSOR_EFFECT = 'trail';
+const PARTICLE_POOL_SIZE = 48;
+let cursorPicker = null;
+let finePointerQuery = null;
+const cleanup = [];
+// Listeners that only live as long as the canvas
+const canvasCleanup = [];
+
+/**
+ * Layer renderers. Each draws one part of the cursor in CSS pixels;
+ * positions go through the canvas transform, never layout.
+ */
+const CURSOR_LAYERS = {
+    glow(ctx, cursor, colors) {
+        const radius = 200;
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+        gradient.addColorStop(0, withAlpha(colors.primary, 0.12));
+        gradient.addColorStop(0.3, withAlpha(colors.secondary, 0.06));
+        gradient.addColorStop(1, withAlpha(colors.secondary, 0));
+        drawAt(ctx, cursor.x, cursor.y, 1, () => {
+            ctx.fillStyle = gradient;
+            ctx.fillRect(-radius, -radius, radius * 2, radius * 2);
+        });
+    },
+    ring(ctx, cursor, colors) {
+        drawAt(ctx, cursor.ringX, cursor.ringY, cursor.ringScale, () => {
+            ctx.beginPath();
+            ctx.arc(0, 0, 20, 0, Math.PI * 2);
+            ctx.lineWidth = 2 / cursor.ringScale;
+            ctx.strokeStyle = cursor.hovering ? withAlpha(colors.secondary) : withAlpha(colors.primary, 0.5);
+            ctx.stroke();
+        });
+    },
+    dot(ctx, cursor, colors) {
+        drawAt(ctx, cursor.x, cursor.y, cursor.dotScale, () => {
+            ctx.shadowColor = withAlpha(colors.primary, 0.5);
+            ctx.shadowBlur = 20;
+            ctx.beginPath();
+            ctx.arc(0, 0, 4, 0, Math.PI * 2);
+            ctx.fillStyle = withAlpha(colors.primaryLight);
+            ctx.fill();
+        });
+    },
+    particles(ctx, cursor, colors) {
+        cursor.particles.forEach(particle => {
+            if (!particle.active) return;
+            const progress = particle.age / particle.life;
+            ctx.globalAlpha = cursor.alpha * (1 - progress);
+            drawAt(ctx, particle.x, particle.y - progress * 20, 1 - progress, () => {
+                ctx.beginPath();
+                ctx.arc(0, 0, 3, 0, Math.PI * 2);
+                ctx.fillStyle = withAlpha(colors[particle.color]);
+                ctx.fill();
+            });
+        });
+        ctx.globalAlpha = cursor.alpha;
+    }
+};
+
+/**
+ * Presets combine layers with a particle rate (one particle every
+ * n moves, 0 = none) and a click burst size
+ */
+const CURSOR_EFFECTS = {
+    trail: { layers: ['glow', 'particles', 'ring', 'dot'], spawnEvery: 5, burst: 5 },
+    glow: { layers: ['glow', 'dot'], spawnEvery: 0, burst: 0 },
+    off: null
+};
+
+const cursor = {
+    effect: null,
+    canvas: null,
+    ctx: null,
+    frame: null,
+    colors: null,
+    x: 0,
+    y: 0,
+    targetX: 0,
+    targetY: 0,
+    ringX: 0,
+    ringY: 0,
+    ringScale: 1,
+    dotScale: 1,
+    alpha: 0,
+    visible: false,
+    hovering: false,
+    pressed: false,
+    moves: 0,
+    particles: Array.from({ length: PARTICLE_POOL_SIZE }, () => ({
+        active: false, x: 0, y: 0, age: 0, life: 0, color: 'primaryLight'
+    }))
+};
+
+function withAlpha(rgb, alpha = 1) {
+    return `rgba(${rgb}, ${alpha})`;
+}
+
+/**
+ * Run a draw call translated and scaled to a point
+ */
+function drawAt(ctx, x, y, scale, draw) {
+    const ratio = window.devicePixelRatio || 1;
+    ctx.save();
+    ctx.setTransform(ratio * scale, 0, 0, ratio * scale, x * ratio, y * ratio);
+    draw();
+    ctx.restore();
+}
+
+/**
+ * Theme color tokens as "r, g, b" channel lists for withAlpha()
+ */
+function readCursorColors() {
+    const styles = getComputedStyle(document.documentElement);
+    const read = (token, fallback) => {
+        const value = styles.getPropertyValue(token).trim() || fallback;
+        const hex = value.match(/^#([\da-f]{2})([\da-f]{2})([\da-f]{2})$/i);
+        return hex
+            ? hex.slice(1).map(channel => parseInt(channel, 16)).join(', ')
+            : (value.match(/\d+/g) || []).slice(0, 3).join(', ');
+    };
+    return {
+        primary: read('--color-primary', '#6366f1'),
+        primaryLight: read('--color-primary-light', '#818cf8'),
+        secondary: read('--color-secondary', '#06b6d4')
+    };
+}
+
+function resizeCursorCanvas() {
+    if (!cursor.canvas) return;
+    const ratio = window.devicePixelRatio || 1;
+    cursor.canvas.width = Math.round(window.innerWidth * ratio);
+    cursor.canvas.height = Math.round(window.innerHeight * ratio);
+    requestCursorFrame();
+}
+
+/**
+ * Reuse a free particle, or the oldest one when the pool is full
+ */
+function spawnParticle(x, y) {
+    let particle = cursor.particles.find(p => !p.active);
+    if (!particle) {
+        particle = cursor.particles.reduce((oldest, p) => (p.age > oldest.age ? p : oldest));
+    }
+    particle.active = true;
+    particle.x = x;
+    particle.y = y;
+    particle.age = 0;
+    particle.life = 36; // frames, ~0.6s
+    particle.color = Math.random() > 0.5 ? 'primaryLight' : 'secondary';
+}
+
+/**
+ * Advance one frame; returns whether anything is still moving
+ */
+function stepCursor() {
+    cursor.x += (cursor.targetX - cursor.x) * 0.15;
+    cursor.y += (cursor.targetY - cursor.y) * 0.15;
+    cursor.ringX += (cursor.targetX - cursor.ringX) * 0.08;
+    cursor.ringY += (cursor.targetY - cursor.ringY) * 0.08;
+    cursor.ringScale += ((cursor.hovering ? 1.5 : 1) - cursor.ringScale) * 0.2;
+    cursor.dotScale += ((cursor.pressed ? 0.5 : 1) - cursor.dotScale) * 0.3;
+    cursor.alpha += ((cursor.visible ? 1 : 0) - cursor.alpha) * 0.15;
+
+    let particlesAlive = false;
+    cursor.particles.forEach(particle => {
+        if (!particle.active) return;
+        particle.age++;
+        particle.active = particle.age < particle.life;
+        particlesAlive = particlesAlive || particle.active;
+    });
+
+    const settling = Math.abs(cursor.targetX - cursor.ringX) > 0.1 ||
+        Math.abs(cursor.targetY - cursor.ringY) > 0.1 ||
+        Math.abs((cursor.hovering ? 1.5 : 1) - cursor.ringScale) > 0.01 ||
+        Math.abs((cursor.pressed ? 0.5 : 1) - cursor.dotScale) > 0.01 ||
+        Math.abs((cursor.visible ? 1 : 0) - cursor.alpha) > 0.01;
+    return settling || particlesAlive;
+}
+
+function renderCursor() {
+    const { ctx, canvas } = cursor;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (cursor.alpha < 0.01) return;
+
+    ctx.globalAlpha = cursor.alpha;
+    cursor.effect.layers.forEach(layer => CURSOR_LAYERS[layer](ctx, cursor, cursor.colors));
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * The loop only runs while something changes: it stops once the
+ * cursor has settled and restarts on the next pointer event
+ */
+function cursorFrame() {
+    cursor.frame = null;
+    const moving = stepCursor();
+    renderCursor();
+    if (moving && !document.hidden) {
+        requestCursorFrame();
+    }
+}
+
+function requestCursorFrame() {
+    if (cursor.effect && cursor.frame === null && !document.hidden) {
+        cursor.frame = requestAnimationFrame(cursorFrame);
+    }
+}
+
+function handleCursorMove(event) {
+    cursor.targetX = event.clientX;
+    cursor.targetY = event.clientY;
+    if (!cursor.visible) {
+        // Appear where the pointer is instead of flying in from 0,0
+        cursor.x = cursor.ringX = event.clientX;
+        cursor.y = cursor.ringY = event.clientY;
+        cursor.visible = true;
+    }
+
+    const { spawnEvery } = cursor.effect;
+    if (spawnEvery && ++cursor.moves % spawnEvery === 0) {
+        spawnParticle(event.clientX, event.clientY);
+    }
+    requestCursorFrame();
+}
+
+function handleCursorLeave() {
+    cursor.visible = false;
+    requestCursorFrame();
+}
+
+function handleCursorDown() {
+    cursor.pressed = true;
+    for (let i = 0; i < cursor.effect.burst; i++) {
+        spawnParticle(
+            cursor.targetX + (Math.random() - 0.5) * 30,
+            cursor.targetY + (Math.random() - 0.5) * 30
+        );
+    }
+    requestCursorFrame();
+}
+
+function handleCursorUp() {
+    cursor.pressed = false;
+    requestCursorFrame();
+}
+
+// Hover effect for interactive elements (delegated, so content
+// rendered after init is covered too)
+const interactiveSelector = 'a, button, select, label, .contact-card, .skill-tag, .timeline-content, .toggle-btn';
+
+function handleCursorOver(event) {
+    const hovering = Boolean(event.target.closest(interactiveSelector));
+    if (hovering !== cursor.hovering) {
+        cursor.hovering = hovering;
+        requestCursorFrame();
+    }
+}
+
+function handleCursorVisibility() {
+    if (document.hidden) {
+        cancelAnimationFrame(cursor.frame);
+        cursor.frame = null;
+    } else {
+        requestCursorFrame();
+    }
+}
+
+function handleCursorThemeChange() {
+    cursor.colors = readCursorColors();
+    requestCursorFrame();
+}
+
+/**
+ * A print snapshot shouldn't catch the cursor mid-trail
+ */
+function clearCursorCanvas() {
+    cursor.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    cursor.ctx.clearRect(0, 0, cursor.canvas.width, cursor.canvas.height);
+}
+
+/**
+ * Start an effect preset, or tear everything down for "off"
+ */
+function startCursorEffect(name) {
+    const effect = CURSOR_EFFECTS[name];
+    if (!effect) {
+        stopCursorEffect();
+        return;
+    }
+
+    if (!cursor.canvas) {
+        cursor.canvas = document.createElement('canvas');
+        cursor.canvas.className = 'cursor-canvas';
+        cursor.canvas.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(cursor.canvas);
+        cursor.ctx = cursor.canvas.getContext('2d');
+        canvasCleanup.push(
+            listen(document, 'mousemove', handleCursorMove, { passive: true }),
+            listen(document, 'mouseleave', handleCursorLeave),
+            listen(document, 'mousedown', handleCursorDown),
+            listen(document, 'mouseup', handleCursorUp),
+            listen(document, 'mouseover', handleCursorOver),
+            listen(document, 'visibilitychange', handleCursorVisibility),
+            listen(document, 'themechange', handleCursorThemeChange),
+            listen(window, 'resize', resizeCursorCanvas),
+            listen(window, 'beforeprint', clearCursorCanvas)
+        );
+    }
+
+    cursor.effect = effect;
+    cursor.colors = readCursorColors();
+    resizeCursorCanvas();
+}
+
+function stopCursorEffect() {
+    if (!cursor.canvas) return;
+
+    cancelAnimationFrame(cursor.frame);
+    runCleanup(canvasCleanup);
+    cursor.canvas.remove();
+    Object.assign(cursor, {
+        effect: null, canvas: null, ctx: null, frame: null,
+        visible: false, alpha: 0, hovering: false, pressed: false
+    });
+    cursor.particles.forEach(particle => { particle.active = false; });
+}
+
+/**
+ * Effects need a mouse and motion allowed; the saved choice stays
+ * put so it comes back when that changes
+ */
+function canShowCursorEffects() {
+    return Boolean(finePointerQuery && finePointerQuery.matches) && !isReducedMotion();
+}
+
+function getCursorEffect() {
+    const saved = localStorage.getItem(CURSOR_EFFECT_KEY);
+    return Object.hasOwn(CURSOR_EFFECTS, saved) ? saved : DEFAULT_CURSOR_EFFECT;
+}
+
+function applyCursorEffect() {
+    const name = getCursorEffect();
+    const available = canShowCursorEffects();
+
+    if (cursorPicker) {
+        cursorPicker.value = name;
+        cursorPicker.disabled = !available;
+    }
+    startCursorEffect(available ? name : 'off');
+}
+
+export function setCursorEffect(name) {
+    localStorage.setItem(CURSOR_EFFECT_KEY, name);
+    applyCursorEffect();
+}
+
+/**
+ * Options: picker - selector of the effect <select>
+ */
+export function init(root = document, { picker = '#cursor-picker' } = {}) {
+    destroy();
+    cursorPicker = root.querySelector(picker);
+    finePointerQuery = window.matchMedia('(hover: hover) and (pointer: fine)');
+
+    if (cursorPicker) {
+        cleanup.push(listen(cursorPicker, 'change', () => setCursorEffect(cursorPicker.value)));
+    }
+    cleanup.push(
+        listen(document, 'motionchange', applyCursorEffect),
+        listen(finePointerQuery, 'change', applyCursorEffect)
+    );
+    applyCursorEffect();
+}
+
+export function destroy() {
+    runCleanup(cleanup);
+    stopCursorEffect();
+    cursorPicker = null;
+    finePointerQuery = null;
+}
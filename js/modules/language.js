@@ -0,0 +1,331 @@
+/**
+ * Internationalisation: locale dictionaries (locales/<code>.json),
+ * t() for messages and translatePage() for data-i18n markup. A switch
+ * is announced as a "languagechange" event.
+ */
+
+import { listen, runCleanup } from '../utils.js';
+
+/**
+ * Locale registry. Every entry needs a dictionary in
+ * locales/<code>.json; the default locale doubles as fallback.
+ */
+export const LOCALES = {
+    en: { name: 'English', ogLocale: 'en_US' },
+    de: { name: 'Deutsch', ogLocale: 'de_AT' }
+};
+export const DEFAULT_LOCALE = 'en';
+const LANGUAGE_KEY = 'language';
+
+const dictionaries = {};
+const messages = {};
+export let currentLocale = DEFAULT_LOCALE;
+let languageRequest = 0;
+let localesPath = 'locales/';
+let langPicker = null;
+const cleanup = [];
+
+/**
+ * Fetch a locale dictionary once; failures resolve to an empty one
+ */
+function loadDictionary(lang) {
+    if (!dictionaries[lang]) {
+        dictionaries[lang] = fetch(`${localesPath}${lang}.json`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.warn(`Could not load "${lang}" translations:`, error);
+                return {};
+            })
+            .then(dictionary => {
+                messages[lang] = dictionary;
+                return dictionary;
+            });
+    }
+    return dictionaries[lang];
+}
+
+/**
+ * Resolve a message id to its text, falling back to the default locale.
+ * Returns undefined when no dictionary knows the id.
+ */
+function resolveMessage(key, params = {}) {
+    let message = (messages[currentLocale] || {})[key];
+    if (message === undefined) {
+        message = (messages[DEFAULT_LOCALE] || {})[key];
+    }
+    if (message === undefined) return undefined;
+
+    // Plural messages are objects keyed by Intl.PluralRules category
+    if (typeof message === 'object') {
+        const count = Number(params.count) || 0;
+        const category = new Intl.PluralRules(currentLocale).select(count);
+        message = (count === 0 && message.zero) || message[category] || message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number'
+            ? new Intl.NumberFormat(currentLocale).format(value)
+            : value;
+    });
+}
+
+/**
+ * Translate a message id with optional {placeholder} params
+ */
+export function t(key, params) {
+    const message = resolveMessage(key, params);
+    return message === undefined ? key : message;
+}
+
+/**
+ * Read interpolation params from data-i18n-params (JSON)
+ */
+function readParams(element) {
+    if (!element.dataset.i18nParams) return {};
+    try {
+        return JSON.parse(element.dataset.i18nParams);
+    } catch (error) {
+        console.warn('Invalid data-i18n-params on', element, error);
+        return {};
+    }
+}
+
+/**
+ * Translate every annotated element below root:
+ * data-i18n (text), data-i18n-html (trusted markup from our own
+ * dictionaries) and data-i18n-attr ("attr:key; attr:key").
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        const text = resolveMessage(element.dataset.i18n, readParams(element));
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+    });
+
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        const html = resolveMessage(element.dataset.i18nHtml, readParams(element));
+        if (html !== undefined) {
+            element.innerHTML = html;
+        }
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        const params = readParams(element);
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (!attribute || !key) return;
+            const value = resolveMessage(key, params);
+            if (value !== undefined) {
+                element.setAttribute(attribute, value);
+            }
+        });
+    });
+}
+
+/**
+ * Load the dictionaries for a locale and apply them to the page.
+ * Only the most recent request wins if several overlap.
+ */
+async function applyLanguage(lang) {
+    const request = ++languageRequest;
+    await Promise.all([loadDictionary(lang), loadDictionary(DEFAULT_LOCALE)]);
+    if (request !== languageRequest) return;
+
+    currentLocale = lang;
+    document.documentElement.lang = lang;
+    translatePage();
+
+    if (langPicker) {
+        langPicker.value = lang;
+    }
+
+    document.dispatchEvent(new CustomEvent('languagechange', { detail: { lang } }));
+}
+
+/**
+ * Fill the locale picker from the registry
+ */
+function populateLocalePicker() {
+    if (!langPicker) return;
+
+    langPicker.innerHTML = '';
+    Object.keys(LOCALES).forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = LOCALES[code].name;
+        langPicker.appendChild(option);
+    });
+}
+
+/**
+ * Map a BCP 47 tag (e.g. "de-AT") onto a registered locale
+ */
+function matchLocale(tag) {
+    if (!tag) return null;
+
+    const normalized = tag.toLowerCase();
+    if (LOCALES[normalized]) return normalized;
+
+    const base = normalized.split('-')[0];
+    return LOCALES[base] ? base : null;
+}
+
+/**
+ * Locale requested by the URL: ?lang=de wins over a /de/ path prefix
+ */
+function getUrlLocale() {
+    const queryLang = new URLSearchParams(window.location.search).get('lang');
+    if (queryLang) {
+        return matchLocale(queryLang);
+    }
+    return matchLocale(window.location.pathname.split('/')[1]);
+}
+
+/**
+ * First registered locale in the visitor's browser preferences
+ */
+function getBrowserLocale() {
+    const preferred = navigator.languages && navigator.languages.length
+        ? navigator.languages
+        : [navigator.language];
+
+    for (const tag of preferred) {
+        const lang = matchLocale(tag);
+        if (lang) return lang;
+    }
+    return null;
+}
+
+/**
+ * Resolve the locale for this visit: URL, saved preference, browser
+ */
+function resolveLocale() {
+    return getUrlLocale()
+        || matchLocale(localStorage.getItem(LANGUAGE_KEY))
+        || getBrowserLocale()
+        || DEFAULT_LOCALE;
+}
+
+/**
+ * Build the shareable URL of the current page in a given locale.
+ * A locale path prefix is folded into the ?lang= parameter.
+ */
+export function buildLocaleUrl(lang) {
+    const url = new URL(window.location.href);
+    const segments = url.pathname.split('/');
+
+    if (LOCALES[segments[1]]) {
+        segments.splice(1, 1);
+        url.pathname = segments.join('/') || '/';
+    }
+
+    if (lang) {
+        url.searchParams.set('lang', lang);
+    } else {
+        url.searchParams.delete('lang');
+    }
+    return url;
+}
+
+/**
+ * Reflect the active locale in the address bar without a reload
+ */
+function syncLocaleUrl(lang) {
+    const url = buildLocaleUrl(lang);
+    if (url.href !== window.location.href) {
+        history.replaceState({ ...history.state, lang }, '', url);
+    }
+}
+
+/**
+ * Keep <link rel="alternate" hreflang> in sync with the registry
+ */
+function updateAlternateLinks() {
+    const hreflangs = Object.keys(LOCALES).concat('x-default');
+
+    hreflangs.forEach(hreflang => {
+        let link = document.head.querySelector(`link[rel="alternate"][hreflang="${hreflang}"]`);
+        if (!link) {
+            link = document.createElement('link');
+            link.rel = 'alternate';
+            link.hreflang = hreflang;
+            document.head.appendChild(link);
+        }
+
+        const url = buildLocaleUrl(hreflang === 'x-default' ? null : hreflang);
+        url.hash = '';
+        link.href = url.href;
+    });
+}
+
+/**
+ * Switch to another registered locale and remember the choice.
+ * Resolves once the page is translated.
+ */
+export function setLanguage(lang) {
+    if (!LOCALES[lang]) return Promise.resolve();
+
+    localStorage.setItem(LANGUAGE_KEY, lang);
+    syncLocaleUrl(lang);
+    return applyLanguage(lang);
+}
+
+/**
+ * A locale's dictionary, loaded if needed (edit mode reads all of them)
+ */
+export function getMessages(lang) {
+    return loadDictionary(lang);
+}
+
+/**
+ * Swap in an edited dictionary. The page keeps its current text until
+ * the next translation, e.g. refreshLanguage().
+ */
+export function setMessages(lang, dictionary) {
+    messages[lang] = dictionary;
+    dictionaries[lang] = Promise.resolve(dictionary);
+}
+
+/**
+ * Translate the page again in the current locale and announce it, so
+ * rendered content follows edited dictionaries
+ */
+export function refreshLanguage() {
+    return applyLanguage(currentLocale);
+}
+
+/**
+ * Initialize language from the URL, localStorage or the browser.
+ * Options: path - directory of the <code>.json dictionaries.
+ * Resolves after the first "languagechange".
+ */
+export function init(root = document, { path = 'locales/' } = {}) {
+    destroy();
+    localesPath = path;
+    langPicker = root.querySelector('#lang-picker');
+    const lang = resolveLocale();
+
+    populateLocalePicker();
+    if (langPicker) {
+        cleanup.push(listen(langPicker, 'change', () => setLanguage(langPicker.value)));
+    }
+    updateAlternateLinks();
+    syncLocaleUrl(lang);
+    return applyLanguage(lang);
+}
+
+export function destroy() {
+    runCleanup(cleanup);
+    // A dictionary still loading must not translate the page afterwards
+    languageRequest++;
+    langPicker = null;
+}
@@ -0,0 +1,88 @@
+/**
+ * Motion preference: the OS setting, overridden by the in-page toggle.
+ * Features that animate read isReducedMotion() or listen for the
+ * "motionchange" event.
+ */
+
+import { listen, runCleanup } from '../utils.js';
+
+const MOTION_KEY = 'motion';
+
+let reducedMotion = false;
+let reducedMotionQuery = null;
+let motionToggle = null;
+const cleanup = [];
+
+/**
+ * The in-page choice ("reduce"/"full") wins over the OS setting
+ */
+function getMotionOverride() {
+    const saved = localStorage.getItem(MOTION_KEY);
+    return saved === 'reduce' || saved === 'full' ? saved : null;
+}
+
+function prefersReducedMotion() {
+    const override = getMotionOverride();
+    if (override) return override === 'reduce';
+    return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+export function isReducedMotion() {
+    return reducedMotion;
+}
+
+/**
+ * Apply the effective preference and tell the features that animate
+ */
+function applyMotionPreference() {
+    const reduce = prefersReducedMotion();
+    const changed = reduce !== reducedMotion;
+    reducedMotion = reduce;
+
+    // CSS keys transitions and scroll-behavior off this attribute
+    document.documentElement.dataset.motion = reduce ? 'reduce' : 'full';
+    if (motionToggle) {
+        motionToggle.setAttribute('aria-pressed', String(reduce));
+    }
+
+    if (changed) {
+        document.dispatchEvent(new CustomEvent('motionchange', { detail: { reduced: reduce } }));
+    }
+}
+
+/**
+ * Save the toggle's choice; a choice that matches the OS setting
+ * drops the override, so later OS changes are followed again
+ */
+export function setReducedMotion(reduce) {
+    const systemReduce = Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+    if (reduce === systemReduce) {
+        localStorage.removeItem(MOTION_KEY);
+    } else {
+        localStorage.setItem(MOTION_KEY, reduce ? 'reduce' : 'full');
+    }
+    applyMotionPreference();
+}
+
+/**
+ * Options: toggle - selector of the aria-pressed "reduce motion" button
+ */
+export function init(root = document, { toggle = '#motion-toggle' } = {}) {
+    destroy();
+    reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    motionToggle = root.querySelector(toggle);
+
+    if (motionToggle) {
+        cleanup.push(listen(motionToggle, 'click', () => {
+            setReducedMotion(motionToggle.getAttribute('aria-pressed') !== 'true');
+        }));
+    }
+    cleanup.push(listen(reducedMotionQuery, 'change', applyMotionPreference));
+    applyMotionPreference();
+}
+
+export function destroy() {
+    runCleanup(cleanup);
+    motionToggle = null;
+    reducedMotionQuery = null;
+}
@@ -0,0 +1,263 @@
+/**
+ * Navigation: the mobile menu (toggle, focus trap, inert background),
+ * the menubar keyboard model and the navbar's scrolled state
+ */
+
+import { listen, runCleanup } from '../utils.js';
+import { t } from './language.js';
+import { onScrollFrame } from './smooth-scroll.js';
+
+export const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+let navbar = null;
+let navToggle = null;
+let navMenu = null;
+let navLinks = [];
+let inertElements = [];
+let typeahead = '';
+let typeaheadTimer = null;
+const cleanup = [];
+
+export function isMobileMenuOpen() {
+    return Boolean(navMenu && navMenu.classList.contains('active'));
+}
+
+/**
+ * Toggle label as an i18n key, so a language switch re-translates it
+ */
+function updateMenuToggleLabel(isOpen) {
+    if (!navToggle) return;
+    const key = isOpen ? 'nav.closeMenu' : 'nav.openMenu';
+    navToggle.dataset.i18nAttr = `aria-label:${key}`;
+    navToggle.setAttribute('aria-label', t(key));
+}
+
+/**
+ * Make everything but one top-level element (by default the navbar)
+ * inert while a menu or dialog is open
+ */
+export function setBackgroundInert(isInert, keep = navbar) {
+    inertElements.forEach(el => { el.inert = false; });
+    inertElements = [];
+    if (!isInert) return;
+
+    inertElements = Array.from(document.body.children)
+        .filter(el => el !== keep && !el.inert && el.tagName !== 'SCRIPT');
+    inertElements.forEach(el => { el.inert = true; });
+}
+
+/**
+ * Roving tabindex: the menubar is one tab stop, arrows move inside
+ */
+function focusMenuItem(item) {
+    navLinks.forEach(link => {
+        link.tabIndex = link === item ? 0 : -1;
+    });
+    item.focus();
+}
+
+/**
+ * Open the mobile menu and move focus to the current (or first) item
+ */
+export function openMobileMenu() {
+    if (!navMenu || isMobileMenuOpen()) return;
+
+    if (navToggle) {
+        navToggle.setAttribute('aria-expanded', 'true');
+    }
+    navMenu.classList.add('active');
+    navMenu.setAttribute('aria-orientation', 'vertical');
+    updateMenuToggleLabel(true);
+
+    // Prevent body scroll when menu is open
+    document.body.style.overflow = 'hidden';
+    setBackgroundInert(true);
+
+    const current = navMenu.querySelector('[aria-current="location"]') || navLinks[0];
+    if (current) {
+        focusMenuItem(current);
+    }
+}
+
+/**
+ * Close the mobile menu. Focus goes back to the toggle unless the
+ * menu closed because a link moved it elsewhere.
+ */
+export function closeMobileMenu({ returnFocus = false } = {}) {
+    if (!isMobileMenuOpen()) return;
+
+    if (navToggle) {
+        navToggle.setAttribute('aria-expanded', 'false');
+    }
+    navMenu.classList.remove('active');
+    navMenu.removeAttribute('aria-orientation');
+    updateMenuToggleLabel(false);
+    document.body.style.overflow = '';
+    setBackgroundInert(false);
+
+    if (returnFocus && navToggle) {
+        navToggle.focus();
+    }
+}
+
+/**
+ * Toggle mobile navigation menu
+ */
+export function toggleMobileMenu() {
+    if (isMobileMenuOpen()) {
+        closeMobileMenu({ returnFocus: true });
+    } else {
+        openMobileMenu();
+    }
+}
+
+/**
+ * Jump to the next item whose label starts with the typed characters
+ */
+function findTypeaheadItem(char, currentIndex) {
+    clearTimeout(typeaheadTimer);
+    typeaheadTimer = setTimeout(() => { typeahead = ''; }, 500);
+
+    // Repeating one letter cycles through items starting with it
+    const query = (typeahead === char ? '' : typeahead) + char;
+    typeahead = query;
+
+    const start = query.length === 1 ? currentIndex + 1 : currentIndex;
+    for (let i = 0; i < navLinks.length; i++) {
+        const item = navLinks[(start + i) % navLinks.length];
+        if (item.textContent.trim().toLowerCase().startsWith(query)) {
+            return item;
+        }
+    }
+    return null;
+}
+
+/**
+ * Menubar keyboard model: arrows, Home/End and typeahead
+ */
+function handleMenuKeydown(event) {
+    const items = navLinks;
+    const currentIndex = items.indexOf(event.target);
+    if (currentIndex === -1) return;
+
+    let next = null;
+    switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+            next = items[(currentIndex + 1) % items.length];
+            break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+            next = items[(currentIndex - 1 + items.length) % items.length];
+            break;
+        case 'Home':
+            next = items[0];
+            break;
+        case 'End':
+            next = items[items.length - 1];
+            break;
+        default:
+            if (event.key.length === 1 && /\S/.test(event.key) &&
+                !event.ctrlKey && !event.metaKey && !event.altKey) {
+                next = findTypeaheadItem(event.key.toLowerCase(), currentIndex);
+            }
+    }
+
+    if (next) {
+        event.preventDefault();
+        focusMenuItem(next);
+    }
+}
+
+/**
+ * Keep Tab inside the navbar while the mobile menu is open
+ */
+function trapMenuFocus(event) {
+    if (event.key !== 'Tab' || !isMobileMenuOpen()) return;
+
+    const container = navbar || navMenu;
+    const focusable = Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => el.offsetParent !== null || el === document.activeElement);
+    if (!focusable.length) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    } else if (!container.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Escape closes the mobile menu
+ */
+function handleEscapeKey(event) {
+    if (event.key === 'Escape' && isMobileMenuOpen()) {
+        closeMobileMenu({ returnFocus: true });
+    }
+}
+
+/**
+ * Tapping outside the navbar closes the menu
+ */
+function handleOutsideClick(event) {
+    if (isMobileMenuOpen() && !(navbar || navMenu).contains(event.target)) {
+        closeMobileMenu({ returnFocus: true });
+    }
+}
+
+/**
+ * Options: mobileQuery - media query of the collapsed menu layout;
+ * scrolledOffset - scroll distance (px) that marks the navbar .scrolled
+ */
+export function init(root = document, { mobileQuery = '(max-width: 768px)', scrolledOffset = 50 } = {}) {
+    destroy();
+    navbar = root.querySelector('.navbar');
+    navToggle = root.querySelector('.nav-toggle');
+    navMenu = root.querySelector('.nav-menu');
+    navLinks = navMenu ? Array.from(navMenu.querySelectorAll('a')) : [];
+
+    if (navbar) {
+        cleanup.push(onScrollFrame(scrollY => navbar.classList.toggle('scrolled', scrollY > scrolledOffset)));
+    }
+    if (!navMenu) return;
+
+    updateMenuToggleLabel(false);
+    navLinks.forEach((link, index) => {
+        link.tabIndex = index === 0 ? 0 : -1;
+        cleanup.push(listen(link, 'click', () => closeMobileMenu()));
+    });
+
+    if (navToggle) {
+        cleanup.push(listen(navToggle, 'click', toggleMobileMenu));
+    }
+
+    // Growing to the desktop layout leaves nothing to trap
+    const mobileNavQuery = window.matchMedia(mobileQuery);
+    cleanup.push(
+        listen(navMenu, 'keydown', handleMenuKeydown),
+        listen(document, 'keydown', trapMenuFocus),
+        listen(document, 'keydown', handleEscapeKey),
+        listen(document, 'click', handleOutsideClick),
+        listen(mobileNavQuery, 'change', (event) => {
+            if (!event.matches) closeMobileMenu();
+        })
+    );
+}
+
+export function destroy() {
+    closeMobileMenu();
+    runCleanup(cleanup);
+    clearTimeout(typeaheadTimer);
+    typeahead = '';
+    navbar = null;
+    navToggle = null;
+    navMenu = null;
+    navLinks = [];
+}
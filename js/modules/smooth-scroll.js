@@ -0,0 +1,93 @@
+/**
+ * Scrolling: one rAF-batched pipeline for everything that follows the
+ * scroll position, scroll behavior that respects reduced motion, and
+ * the back-to-top button
+ */
+
+import { listen, runCleanup } from '../utils.js';
+import { isReducedMotion } from './motion.js';
+
+const scrollTasks = new Set();
+let scrollFrame = null;
+let removeScrollListeners = null;
+let backToTopBtn = null;
+const cleanup = [];
+
+function runScrollTasks() {
+    scrollFrame = null;
+    const scrollY = window.scrollY;
+    scrollTasks.forEach(task => task(scrollY));
+}
+
+/**
+ * Batch scroll/resize events into a single animation frame
+ */
+export function requestScrollFrame() {
+    if (scrollFrame === null && scrollTasks.size) {
+        scrollFrame = requestAnimationFrame(runScrollTasks);
+    }
+}
+
+/**
+ * Register work that should run once per frame while scrolling.
+ * Tasks receive the current scrollY and run once right away; the
+ * returned function unregisters the task.
+ */
+export function onScrollFrame(task) {
+    scrollTasks.add(task);
+    if (!removeScrollListeners) {
+        const removals = [
+            listen(window, 'scroll', requestScrollFrame, { passive: true }),
+            listen(window, 'resize', requestScrollFrame, { passive: true })
+        ];
+        removeScrollListeners = () => removals.forEach(remove => remove());
+    }
+    task(window.scrollY);
+
+    return () => {
+        scrollTasks.delete(task);
+        if (!scrollTasks.size && removeScrollListeners) {
+            removeScrollListeners();
+            removeScrollListeners = null;
+            cancelAnimationFrame(scrollFrame);
+            scrollFrame = null;
+        }
+    };
+}
+
+/**
+ * Behavior for scrollIntoView/scrollTo calls
+ */
+export function scrollBehavior() {
+    return isReducedMotion() ? 'auto' : 'smooth';
+}
+
+/**
+ * Smooth scroll to top
+ */
+export function scrollToTop() {
+    window.scrollTo({
+        top: 0,
+        behavior: scrollBehavior()
+    });
+}
+
+/**
+ * Options: backToTopOffset - scroll distance (px) before the
+ * .back-to-top button shows up
+ */
+export function init(root = document, { backToTopOffset = 500 } = {}) {
+    destroy();
+    backToTopBtn = root.querySelector('.back-to-top');
+    if (!backToTopBtn) return;
+
+    cleanup.push(
+        listen(backToTopBtn, 'click', scrollToTop),
+        onScrollFrame(scrollY => { backToTopBtn.hidden = scrollY <= backToTopOffset; })
+    );
+}
+
+export function destroy() {
+    runCleanup(cleanup);
+    backToTopBtn = null;
+}
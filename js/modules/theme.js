@@ -0,0 +1,98 @@
+/**
+ * Theme: light, dark or following the system. The inline script in
+ * <head> sets data-theme before first paint; this keeps it in sync
+ * with the switcher, the saved choice and the OS setting.
+ */
+
+import { listen, runCleanup } from '../utils.js';
+
+export const THEME_MODES = ['light', 'dark', 'system'];
+const THEME_KEY = 'theme';
+
+export let themeMode = 'system';
+let darkSchemeQuery = null;
+let themeToggle = null;
+const cleanup = [];
+
+/**
+ * Saved theme mode; anything unknown means "follow the system"
+ */
+function getSavedThemeMode() {
+    const savedTheme = localStorage.getItem(THEME_KEY);
+    return THEME_MODES.includes(savedTheme) ? savedTheme : 'system';
+}
+
+/**
+ * Resolve a mode to the concrete light/dark theme
+ */
+export function resolveTheme(mode) {
+    if (mode === 'system') {
+        return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+    }
+    return mode;
+}
+
+/**
+ * Apply a theme mode to the document, the switcher and theme-color
+ */
+function applyTheme(mode) {
+    const theme = resolveTheme(mode);
+    themeMode = mode;
+
+    document.documentElement.setAttribute('data-theme', theme);
+
+    if (themeToggle) {
+        themeToggle.querySelectorAll('input[name="theme"]').forEach(input => {
+            input.checked = input.value === mode;
+        });
+    }
+
+    // The browser UI color follows the page background token
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+        const background = getComputedStyle(document.documentElement).getPropertyValue('--color-bg').trim();
+        if (background) {
+            themeColor.setAttribute('content', background);
+        }
+    }
+
+    document.dispatchEvent(new CustomEvent('themechange', { detail: { mode, theme } }));
+}
+
+/**
+ * Switch to light, dark or system mode and remember the choice
+ */
+export function setTheme(mode) {
+    if (!THEME_MODES.includes(mode)) return;
+
+    localStorage.setItem(THEME_KEY, mode);
+    applyTheme(mode);
+}
+
+/**
+ * Initialize theme from localStorage or system preference
+ */
+export function init(root = document) {
+    destroy();
+    darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    themeToggle = root.querySelector('#theme-toggle');
+
+    if (themeToggle) {
+        cleanup.push(listen(themeToggle, 'change', (event) => setTheme(event.target.value)));
+    }
+
+    // Follow OS changes live while in system mode
+    cleanup.push(listen(darkSchemeQuery, 'change', () => {
+        if (themeMode === 'system') {
+            applyTheme('system');
+        }
+    }));
+
+    applyTheme(getSavedThemeMode());
+}
+
+export function destroy() {
+    runCleanup(cleanup);
+    themeToggle = null;
+    darkSchemeQuery = null;
+}
@@ -0,0 +1,131 @@
+/**
+ * Timeline tabs: .toggle-btn tabs, each controlling a .timeline-panel,
+ * with the arrow/Home/End keyboard model of a tablist
+ */
+
+import { listen, runCleanup } from '../utils.js';
+import { scrollBehavior } from './smooth-scroll.js';
+
+let timelineTabs = [];
+let timelinePanels = [];
+const cleanup = [];
+
+/**
+ * Select a timeline tab and show its panel
+ */
+export function activateTimelineTab(clickedTab) {
+    const targetPanelId = clickedTab.getAttribute('aria-controls');
+    const targetPanel = document.getElementById(targetPanelId);
+    const changed = clickedTab.getAttribute('aria-selected') !== 'true';
+
+    // Update tab states
+    timelineTabs.forEach(tab => {
+        tab.classList.remove('active');
+        tab.setAttribute('aria-selected', 'false');
+    });
+    clickedTab.classList.add('active');
+    clickedTab.setAttribute('aria-selected', 'true');
+
+    // Update panel visibility
+    timelinePanels.forEach(panel => {
+        panel.classList.remove('active');
+        panel.hidden = true;
+    });
+    if (targetPanel) {
+        targetPanel.classList.add('active');
+        targetPanel.hidden = false;
+
+        // Trigger fade-in animations for newly visible items
+        targetPanel.querySelectorAll('.fade-in').forEach(el => {
+            el.classList.remove('visible');
+            setTimeout(() => {
+                el.classList.add('visible');
+            }, 100);
+        });
+    }
+    if (changed) {
+        document.dispatchEvent(new CustomEvent('timelinetabchange', { detail: { tab: clickedTab.id } }));
+    }
+}
+
+/**
+ * Open the panel that holds a timeline entry and scroll it into view
+ */
+export function revealTimelineEntry(id, { behavior = scrollBehavior() } = {}) {
+    const heading = document.getElementById(id);
+    const panel = heading && heading.closest('.timeline-panel');
+    const item = heading && heading.closest('.timeline-item');
+    if (!panel || !item) return;
+
+    const tab = timelineTabs.find(candidate => candidate.getAttribute('aria-controls') === panel.id);
+    if (tab && panel.hidden) {
+        activateTimelineTab(tab);
+    }
+
+    item.classList.add('visible');
+    item.scrollIntoView({ behavior, block: 'center' });
+    heading.setAttribute('tabindex', '-1');
+    heading.focus({ preventScroll: true });
+}
+
+/**
+ * Switch between timeline panels on click
+ */
+function switchTimelineTab(event) {
+    activateTimelineTab(event.currentTarget);
+}
+
+/**
+ * Handle keyboard navigation for tabs
+ */
+export function handleTabKeydown(event) {
+    const tabs = timelineTabs;
+    const currentIndex = tabs.indexOf(event.currentTarget);
+    let newIndex;
+
+    switch (event.key) {
+        case 'ArrowLeft':
+        case 'ArrowUp':
+            event.preventDefault();
+            newIndex = currentIndex > 0 ? currentIndex - 1 : tabs.length - 1;
+            tabs[newIndex].focus();
+            tabs[newIndex].click();
+            break;
+        case 'ArrowRight':
+        case 'ArrowDown':
+            event.preventDefault();
+            newIndex = currentIndex < tabs.length - 1 ? currentIndex + 1 : 0;
+            tabs[newIndex].focus();
+            tabs[newIndex].click();
+            break;
+        case 'Home':
+            event.preventDefault();
+            tabs[0].focus();
+            tabs[0].click();
+            break;
+        case 'End':
+            event.preventDefault();
+            tabs[tabs.length - 1].focus();
+            tabs[tabs.length - 1].click();
+            break;
+    }
+}
+
+export function init(root = document) {
+    destroy();
+    timelineTabs = Array.from(root.querySelectorAll('.toggle-btn'));
+    timelinePanels = Array.from(root.querySelectorAll('.timeline-panel'));
+
+    timelineTabs.forEach(tab => {
+        cleanup.push(
+            listen(tab, 'click', switchTimelineTab),
+            listen(tab, 'keydown', handleTabKeydown)
+        );
+    });
+}
+
+export function destroy() {
+    runCleanup(cleanup);
+    timelineTabs = [];
+    timelinePanels = [];
+}
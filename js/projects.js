@@ -0,0 +1,114 @@
+/**
+ * Data layer of the GitHub projects section: a REST source and the
+ * cache / API / snapshot fallback chain. Rendering stays in script.js.
+ *
+ * fetchImpl and source are injectable so the section can run against
+ * a local fixture server or canned responses.
+ */
+
+const MAX_PROJECTS = 12;
+
+/**
+ * Keep only the fields the cards need, in the snapshot's shape
+ */
+function normalizeRepo(repo, languages) {
+    return {
+        name: repo.name,
+        description: repo.description || '',
+        url: repo.html_url,
+        homepage: repo.homepage || '',
+        languages,
+        stars: repo.stargazers_count || 0,
+        pushedAt: repo.pushed_at
+    };
+}
+
+/**
+ * GitHub REST data source ({ listRepos() })
+ */
+export function createGitHubSource({ user, baseUrl = 'https://api.github.com', fetchImpl = window.fetch.bind(window) }) {
+    function getJson(path) {
+        return fetchImpl(`${baseUrl}${path}`, {
+            headers: { 'Accept': 'application/vnd.github+json' }
+        }).then(response => {
+            if (!response.ok) {
+                // 403/429 with an exhausted quota lands here too
+                const error = new Error(`GitHub responded with ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.json();
+        });
+    }
+
+    return {
+        async listRepos() {
+            const repos = await getJson(`/users/${encodeURIComponent(user)}/repos?per_page=100&sort=pushed`);
+            const own = repos.filter(repo => !repo.fork && !repo.archived).slice(0, MAX_PROJECTS);
+
+            // Full language breakdown; the primary language if that fails
+            return Promise.all(own.map(async repo => {
+                let languages = repo.language ? [repo.language] : [];
+                try {
+                    languages = Object.keys(await getJson(`/repos/${repo.full_name}/languages`));
+                } catch (error) {
+                    // keep the primary language
+                }
+                return normalizeRepo(repo, languages);
+            }));
+        }
+    };
+}
+
+function readProjectsCache(key) {
+    try {
+        const cached = JSON.parse(localStorage.getItem(key));
+        return cached && Array.isArray(cached.repos) ? cached : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Best effort: a full quota or private mode must not fail a live load
+ */
+function writeProjectsCache(key, entry) {
+    try {
+        localStorage.setItem(key, JSON.stringify(entry));
+    } catch (error) {
+        console.warn('Could not cache the GitHub repositories:', error);
+    }
+}
+
+/**
+ * Fresh cache, then the API, then a stale cache, then the bundled
+ * snapshot. Resolves with the repos and where they came from.
+ * config: { cacheKey, ttl (seconds), snapshot (URL), fetchImpl }
+ */
+export async function loadProjects(source, config) {
+    const cached = readProjectsCache(config.cacheKey);
+    if (cached && Date.now() - cached.savedAt < config.ttl * 1000) {
+        return { repos: cached.repos, origin: 'cache', savedAt: cached.savedAt };
+    }
+
+    let repos;
+    try {
+        repos = await source.listRepos();
+    } catch (error) {
+        console.warn('Could not load GitHub repositories:', error);
+        if (cached) {
+            return { repos: cached.repos, origin: 'stale', savedAt: cached.savedAt };
+        }
+
+        const response = await config.fetchImpl(config.snapshot);
+        if (!response.ok) {
+            throw new Error(`Could not load ${config.snapshot} (${response.status})`);
+        }
+        const snapshot = await response.json();
+        return { repos: snapshot.repos, origin: 'snapshot', savedAt: Date.parse(snapshot.generatedAt) };
+    }
+
+    const savedAt = Date.now();
+    writeProjectsCache(config.cacheKey, { savedAt, repos });
+    return { repos, origin: 'live', savedAt };
+}
@@ -0,0 +1,29 @@
+/**
+ * Martin Forstner Portfolio - shared helpers for the modules in js/modules
+ */
+
+/**
+ * Small element factory for rendered markup
+ */
+export function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * addEventListener that returns its own removal, so a module's
+ * destroy() can undo what its init() attached
+ */
+export function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    return () => target.removeEventListener(type, handler, options);
+}
+
+/**
+ * Run and forget a module's collected removals
+ */
+export function runCleanup(cleanup) {
+    cleanup.splice(0).reverse().forEach(remove => remove());
+}
@@ -2,685 +2,3750 @@
  * Martin Forstner Portfolio - JavaScript
  * Handles navigation, animations, and interactive features
  * Built with accessibility in mind (WCAG 2.1 compliant)
+ *
+ * Entry module: reusable components live in js/modules (each with
+ * init(root, options) and destroy()) and are exposed as window.Portfolio;
+ * the page-specific features below build on them.
  */
 
-(function() {
-    'use strict';
-
-    // ==========================================
-    // DOM Elements
-    // ==========================================
-    const navbar = document.querySelector('.navbar');
-    const navToggle = document.querySelector('.nav-toggle');
-    const navMenu = document.querySelector('.nav-menu');
-    const navLinks = document.querySelectorAll('.nav-menu a');
-    const backToTopBtn = document.querySelector('.back-to-top');
-    const fadeElements = document.querySelectorAll('.fade-in');
-    const timelineTabs = document.querySelectorAll('.toggle-btn');
-    const timelinePanels = document.querySelectorAll('.timeline-panel');
-    const highlightNumbers = document.querySelectorAll('.highlight-number');
-    
-    // Theme and Language toggles
-    const themeToggle = document.getElementById('theme-toggle');
-    const langToggle = document.getElementById('lang-toggle');
-
-    // Cursor elements (will be created dynamically)
-    let cursorGlow, cursorDot, cursorRing;
-
-    // ==========================================
-    // Navigation
-    // ==========================================
-    
-    /**
-     * Toggle mobile navigation menu
-     */
-    function toggleMobileMenu() {
-        const isExpanded = navToggle.getAttribute('aria-expanded') === 'true';
-        navToggle.setAttribute('aria-expanded', !isExpanded);
-        navMenu.classList.toggle('active');
-        
-        // Prevent body scroll when menu is open
-        document.body.style.overflow = navMenu.classList.contains('active') ? 'hidden' : '';
-        
-        // Update aria-label for screen readers
-        navToggle.setAttribute('aria-label', isExpanded ? 'Menü öffnen' : 'Menü schließen');
-    }
-
-    /**
-     * Close mobile menu when clicking a link
-     */
-    function closeMobileMenu() {
-        navToggle.setAttribute('aria-expanded', 'false');
-        navMenu.classList.remove('active');
-        document.body.style.overflow = '';
-    }
-
-    /**
-     * Handle scroll events for navbar styling
-     */
-    function handleScroll() {
-        // Add scrolled class to navbar
-        if (window.scrollY > 50) {
-            navbar.classList.add('scrolled');
+import { createElement } from './js/utils.js';
+import { createGitHubSource, loadProjects } from './js/projects.js';
+import { renderMarkdown } from './js/markdown.js';
+import * as motion from './js/modules/motion.js';
+import * as smoothScroll from './js/modules/smooth-scroll.js';
+import * as navigation from './js/modules/navigation.js';
+import * as timelineTabs from './js/modules/timeline-tabs.js';
+import * as careerChart from './js/modules/career-chart.js';
+import * as cursor from './js/modules/cursor.js';
+import * as counters from './js/modules/counters.js';
+import * as theme from './js/modules/theme.js';
+import * as language from './js/modules/language.js';
+import { isReducedMotion } from './js/modules/motion.js';
+import { onScrollFrame, requestScrollFrame, scrollBehavior, scrollToTop } from './js/modules/smooth-scroll.js';
+import { closeMobileMenu, setBackgroundInert } from './js/modules/navigation.js';
+import { activateTimelineTab, revealTimelineEntry } from './js/modules/timeline-tabs.js';
+import { settleCounters } from './js/modules/counters.js';
+import { setTheme, resolveTheme, themeMode } from './js/modules/theme.js';
+import { LOCALES, DEFAULT_LOCALE, currentLocale, t, setLanguage, buildLocaleUrl, getMessages, setMessages, refreshLanguage } from './js/modules/language.js';
+
+// ==========================================
+// DOM Elements
+// ==========================================
+const navLinks = document.querySelectorAll('.nav-menu a');
+const fadeElements = document.querySelectorAll('.fade-in');
+const timelineTabButtons = document.querySelectorAll('.toggle-btn');
+const timelinePanels = document.querySelectorAll('.timeline-panel');
+
+// ==========================================
+// Scroll Spy & Reading Progress
+// ==========================================
+
+const readingProgressBar = document.querySelector('.reading-progress-bar');
+const spyLinks = Array.from(navLinks).filter(link => link.hash.length > 1);
+let spySections = [];
+const sectionsInView = new Set();
+let activeSection = null;
+let atPageEnd = false;
+let quietUrlTimer = null;
+
+/**
+ * Scale the progress bar with how far the page has been read
+ */
+function updateReadingProgress(scrollY) {
+    if (!readingProgressBar) return;
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const progress = scrollable > 0 ? Math.min(scrollY / scrollable, 1) : 0;
+    readingProgressBar.style.transform = `scaleX(${progress})`;
+}
+
+function getSpyLink(section) {
+    return section ? spyLinks.find(link => link.hash === `#${section.id}`) : null;
+}
+
+/**
+ * Mark the nav link of the section being read
+ */
+function setActiveSection(section) {
+    if (section === activeSection) return;
+    activeSection = section;
+
+    const activeLink = getSpyLink(section);
+    spyLinks.forEach(link => {
+        if (link === activeLink) {
+            link.setAttribute('aria-current', 'location');
         } else {
-            navbar.classList.remove('scrolled');
+            link.removeAttribute('aria-current');
+        }
+    });
+
+    updateSectionTitle();
+    scheduleQuietUrlUpdate();
+}
+
+/**
+ * "Journey | Martin Forstner" while reading a section, the
+ * regular title at the top
+ */
+function updateSectionTitle() {
+    const link = getSpyLink(activeSection);
+    // An open post names the page while its section is in view
+    const postTitle = writingSection && activeSection === writingSection ? openPostTitle : null;
+    setPageTitle(postTitle || (link ? link.textContent.trim() : null));
+}
+
+/**
+ * Replace (never push) the hash once scrolling settles, so smooth
+ * scrolls don't flicker through every section on the way. A deep
+ * link into the active section (#edu-master) is kept.
+ */
+function scheduleQuietUrlUpdate() {
+    clearTimeout(quietUrlTimer);
+    quietUrlTimer = setTimeout(() => {
+        const route = resolveRoute(window.location.hash);
+        const routed = route && (route.type === 'entry' ? document.getElementById(route.id) : route.target);
+        if (routed && activeSection && activeSection.contains(routed)) return;
+
+        const url = new URL(window.location.href);
+        url.hash = getSpyLink(activeSection) ? activeSection.id : '';
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url);
         }
+    }, 300);
+}
+
+/**
+ * First section (in page order) inside the reading band
+ */
+function pickActiveSection() {
+    if (atPageEnd) return spySections[spySections.length - 1];
+    return spySections.find(section => sectionsInView.has(section)) || activeSection;
+}
+
+/**
+ * Short last sections never reach the reading band; pin them
+ * once the page is scrolled to the end (scroll task)
+ */
+function checkPageEnd(scrollY) {
+    const isAtEnd = scrollY > 0 &&
+        scrollY + window.innerHeight >= document.documentElement.scrollHeight - 2;
+    if (isAtEnd !== atPageEnd) {
+        atPageEnd = isAtEnd;
+        setActiveSection(pickActiveSection());
+    }
+}
+
+function initScrollSpy() {
+    onScrollFrame(updateReadingProgress);
+    if (!('IntersectionObserver' in window) || !spyLinks.length) return;
+
+    // The hero has no nav link; while it is read, nothing is current
+    const hero = document.getElementById('hero');
+    spySections = [hero, ...spyLinks.map(link => document.querySelector(link.hash))]
+        .filter(Boolean);
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                sectionsInView.add(entry.target);
+            } else {
+                sectionsInView.delete(entry.target);
+            }
+        });
+        setActiveSection(pickActiveSection());
+    }, {
+        // A thin band a third down the viewport
+        rootMargin: '-33% 0px -62% 0px'
+    });
+    spySections.forEach(section => observer.observe(section));
+
+    onScrollFrame(checkPageEnd);
+
+    // translatePage resets the title to meta.title
+    document.addEventListener('languagechange', updateSectionTitle);
+}
+
+// ==========================================
+// Timeline Rendering (data/resume.json)
+// ==========================================
+
+let resumePromise = null;
+let resume = null;
+
+/**
+ * Fetch the JSON Resume data once; other features reuse the promise
+ */
+function loadResume() {
+    if (!resumePromise) {
+        resumePromise = fetch('data/resume.json')
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                resume = data;
+                return data;
+            });
+    }
+    return resumePromise;
+}
+
+/**
+ * Read a field in the active locale, falling back to the base value
+ */
+function localize(entry, field) {
+    const translation = entry.translations && entry.translations[currentLocale];
+    if (translation && translation[field] !== undefined) {
+        return translation[field];
+    }
+    return entry[field];
+}
 
-        // Show/hide back to top button
-        if (window.scrollY > 500) {
-            backToTopBtn.hidden = false;
+/**
+ * Render "2020 – 2023", "2023 – Now" or a single year as <time> elements
+ */
+function renderDateRange(entry, openLabel) {
+    const date = createElement('div', 'timeline-date');
+    const appendTime = (value) => {
+        const time = createElement('time', null, value.slice(0, 4));
+        time.setAttribute('datetime', value);
+        date.appendChild(time);
+    };
+
+    if (entry.startDate) {
+        appendTime(entry.startDate);
+        date.appendChild(document.createTextNode(' – '));
+        if (entry.endDate) {
+            appendTime(entry.endDate);
         } else {
-            backToTopBtn.hidden = true;
+            date.appendChild(document.createTextNode(openLabel));
         }
+    } else if (entry.endDate) {
+        appendTime(entry.endDate);
     }
+    return date;
+}
 
-    /**
-     * Smooth scroll to top
-     */
-    function scrollToTop() {
-        window.scrollTo({
-            top: 0,
-            behavior: 'smooth'
-        });
+/**
+ * Build a timeline <article> with the markup the styles expect
+ */
+function renderTimelineItem({ id, date, title, subtitle, text, highlights, keywords, period }) {
+    const article = createElement('article', 'timeline-item fade-in');
+    article.setAttribute('aria-labelledby', id);
+
+    // Metadata for filtering and sorting
+    if (period) {
+        article.dataset.start = period.start;
+        article.dataset.end = period.end;
+        article.dataset.sortKey = period.sortKey;
+    }
+    if (keywords && keywords.length) {
+        article.dataset.keywords = keywords.join('|');
     }
+    article.appendChild(createElement('div', 'timeline-marker')).setAttribute('aria-hidden', 'true');
 
-    // ==========================================
-    // Timeline Tabs
-    // ==========================================
-    
-    /**
-     * Switch between timeline panels (work/education)
-     */
-    function switchTimelineTab(event) {
-        const clickedTab = event.currentTarget;
-        const targetPanelId = clickedTab.getAttribute('aria-controls');
-        const targetPanel = document.getElementById(targetPanelId);
-
-        // Update tab states
-        timelineTabs.forEach(tab => {
-            tab.classList.remove('active');
-            tab.setAttribute('aria-selected', 'false');
-        });
-        clickedTab.classList.add('active');
-        clickedTab.setAttribute('aria-selected', 'true');
+    const content = article.appendChild(createElement('div', 'timeline-content'));
+    content.appendChild(date);
 
-        // Update panel visibility
-        timelinePanels.forEach(panel => {
-            panel.classList.remove('active');
-            panel.hidden = true;
-        });
-        targetPanel.classList.add('active');
-        targetPanel.hidden = false;
-
-        // Trigger fade-in animations for newly visible items
-        targetPanel.querySelectorAll('.fade-in').forEach(el => {
-            el.classList.remove('visible');
-            setTimeout(() => {
-                el.classList.add('visible');
-            }, 100);
-        });
+    const heading = content.appendChild(createElement('h3', 'timeline-title', title));
+    heading.id = id;
+
+    if (subtitle) {
+        content.appendChild(createElement('p', 'timeline-company', subtitle));
     }
+    if (text) {
+        content.appendChild(createElement('p', 'timeline-text', text));
+    }
+    if (highlights && highlights.length) {
+        const list = content.appendChild(createElement('ul', 'timeline-description'));
+        highlights.forEach(item => list.appendChild(createElement('li', null, item)));
+    }
+    if (keywords && keywords.length) {
+        const tags = content.appendChild(createElement('div', 'timeline-tags'));
+        tags.setAttribute('aria-label', t('timeline.tagsLabel'));
+        keywords.forEach(keyword => tags.appendChild(createElement('span', 'tag', keyword)));
+    }
+    return article;
+}
 
-    /**
-     * Handle keyboard navigation for tabs
-     */
-    function handleTabKeydown(event) {
-        const tabs = Array.from(timelineTabs);
-        const currentIndex = tabs.indexOf(event.currentTarget);
-        let newIndex;
-
-        switch (event.key) {
-            case 'ArrowLeft':
-            case 'ArrowUp':
-                event.preventDefault();
-                newIndex = currentIndex > 0 ? currentIndex - 1 : tabs.length - 1;
-                tabs[newIndex].focus();
-                tabs[newIndex].click();
-                break;
-            case 'ArrowRight':
-            case 'ArrowDown':
-                event.preventDefault();
-                newIndex = currentIndex < tabs.length - 1 ? currentIndex + 1 : 0;
-                tabs[newIndex].focus();
-                tabs[newIndex].click();
-                break;
-            case 'Home':
-                event.preventDefault();
-                tabs[0].focus();
-                tabs[0].click();
-                break;
-            case 'End':
-                event.preventDefault();
-                tabs[tabs.length - 1].focus();
-                tabs[tabs.length - 1].click();
-                break;
-        }
-    }
-
-    // ==========================================
-    // Intersection Observer for Animations
-    // ==========================================
-    
-    /**
-     * Initialize fade-in animations using Intersection Observer
-     */
-    function initFadeInAnimations() {
-        const observerOptions = {
-            root: null,
-            rootMargin: '0px 0px -50px 0px',
-            threshold: 0.1
-        };
+/**
+ * Year span of a resume entry; open-ended entries run until today
+ */
+function getEntryPeriod(entry) {
+    const startDate = entry.startDate || entry.endDate;
+    if (!startDate) return null;
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('visible');
-                    
-                    // If it's a highlight number, start counting animation
-                    if (entry.target.classList.contains('about-highlights')) {
-                        animateNumbers();
-                    }
-                }
-            });
-        }, observerOptions);
+    const start = parseInt(startDate, 10);
+    const end = entry.endDate ? parseInt(entry.endDate, 10) : new Date().getFullYear();
+    return { start, end, sortKey: startDate };
+}
 
-        fadeElements.forEach(el => {
-            observer.observe(el);
-        });
+/**
+ * Entry headings as the timeline and the career chart show them
+ */
+function withEntryIcon(text, entry) {
+    return entry.icon ? `${text} ${entry.icon}` : text;
+}
 
-        // Also observe highlights container
-        const highlightsContainer = document.querySelector('.about-highlights');
-        if (highlightsContainer) {
-            observer.observe(highlightsContainer);
-        }
-    }
-
-    // ==========================================
-    // Number Animation
-    // ==========================================
-    
-    let numbersAnimated = false;
-
-    /**
-     * Animate the highlight numbers counting up
-     */
-    function animateNumbers() {
-        if (numbersAnimated) return;
-        numbersAnimated = true;
-
-        highlightNumbers.forEach(number => {
-            const target = parseInt(number.dataset.count, 10);
-            const duration = 2000;
-            const startTime = performance.now();
-
-            function updateNumber(currentTime) {
-                const elapsed = currentTime - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Easing function for smooth animation
-                const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-                const current = Math.floor(easeOutQuart * target);
-                
-                number.textContent = current;
-
-                if (progress < 1) {
-                    requestAnimationFrame(updateNumber);
-                } else {
-                    number.textContent = target;
-                }
-            }
+function getWorkTitle(job) {
+    return withEntryIcon(`${localize(job, 'position')} @ ${localize(job, 'name')}`, job);
+}
 
-            requestAnimationFrame(updateNumber);
-        });
+function getEducationTitle(edu) {
+    return withEntryIcon(localize(edu, 'title') || `${edu.studyType} ${localize(edu, 'area')}`, edu);
+}
+
+/**
+ * Map resume.work / resume.education / resume.certificates to articles
+ */
+function buildTimelineItems(data, section) {
+    if (section === 'work') {
+        return (data.work || []).map(job => renderTimelineItem({
+            id: job.id,
+            date: renderDateRange(job, t('timeline.present')),
+            title: getWorkTitle(job),
+            subtitle: localize(job, 'summary'),
+            highlights: localize(job, 'highlights'),
+            keywords: job.keywords,
+            period: getEntryPeriod(job)
+        }));
     }
 
-    // ==========================================
-    // Current Year in Footer
-    // ==========================================
-    
-    function updateCurrentYear() {
-        const yearElement = document.getElementById('current-year');
-        if (yearElement) {
-            yearElement.textContent = new Date().getFullYear();
-        }
-    }
-
-    // ==========================================
-    // Keyboard Accessibility
-    // ==========================================
-    
-    /**
-     * Handle escape key to close mobile menu
-     */
-    function handleEscapeKey(event) {
-        if (event.key === 'Escape' && navMenu.classList.contains('active')) {
-            closeMobileMenu();
-            navToggle.focus();
-        }
-    }
-
-    // ==========================================
-    // Smooth Scroll for Anchor Links
-    // ==========================================
-    
-    function initSmoothScroll() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function(e) {
-                const href = this.getAttribute('href');
-                if (href === '#') return;
-                
-                const target = document.querySelector(href);
-                if (target) {
-                    e.preventDefault();
-                    
-                    // Close mobile menu if open
-                    if (navMenu.classList.contains('active')) {
-                        closeMobileMenu();
-                    }
-
-                    // Smooth scroll to target
-                    target.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'start'
-                    });
-
-                    // Update URL hash without jumping
-                    history.pushState(null, null, href);
-
-                    // Focus the target for accessibility
-                    target.setAttribute('tabindex', '-1');
-                    target.focus({ preventScroll: true });
-                }
-            });
-        });
+    const items = (data.education || []).map(edu => renderTimelineItem({
+        id: edu.id,
+        date: renderDateRange(edu, t('timeline.ongoing')),
+        title: getEducationTitle(edu),
+        subtitle: localize(edu, 'institution'),
+        text: localize(edu, 'summary'),
+        keywords: edu.keywords,
+        period: getEntryPeriod(edu)
+    }));
+
+    if (data.certificates && data.certificates.length) {
+        items.push(renderTimelineItem({
+            id: 'edu-certs',
+            date: createElement('div', 'timeline-date', t('timeline.alwaysLearning')),
+            title: t('timeline.certificates'),
+            highlights: data.certificates.map(cert => {
+                const summary = localize(cert, 'summary');
+                return summary ? `${localize(cert, 'name')} — ${summary}` : localize(cert, 'name');
+            })
+        }));
     }
+    return items;
+}
+
+/**
+ * Work and education as the career chart's two groups of bars
+ */
+function buildCareerChartGroups(data) {
+    return [
+        {
+            id: 'work',
+            label: t('timeline.work'),
+            entries: (data.work || []).map(job => ({
+                id: job.id,
+                title: getWorkTitle(job),
+                start: job.startDate,
+                end: job.endDate
+            }))
+        },
+        {
+            id: 'education',
+            label: t('timeline.education'),
+            entries: (data.education || []).map(edu => ({
+                id: edu.id,
+                title: getEducationTitle(edu),
+                subtitle: localize(edu, 'institution'),
+                start: edu.startDate,
+                end: edu.endDate
+            }))
+        }
+    ];
+}
 
-    // ==========================================
-    // Image Error Handling
-    // ==========================================
-    
-    function handleImageError() {
-        const heroImage = document.querySelector('.hero-image');
-        if (heroImage) {
-            heroImage.onerror = function() {
-                // Fallback to a placeholder with initials
-                this.style.display = 'none';
-                const wrapper = this.parentElement;
-                const placeholder = document.createElement('div');
-                placeholder.className = 'hero-image-placeholder';
-                placeholder.style.cssText = `
-                    width: 100%;
-                    height: 100%;
-                    border-radius: 50%;
-                    background: linear-gradient(135deg, #6366f1 0%, #06b6d4 100%);
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    font-size: 4rem;
-                    font-weight: 700;
-                    color: white;
-                `;
-                placeholder.textContent = 'MF';
-                placeholder.setAttribute('role', 'img');
-                placeholder.setAttribute('aria-label', 'Martin Forstner Initialen');
-                wrapper.insertBefore(placeholder, this);
-            };
-        }
-    }
-
-    // ==========================================
-    // Reduced Motion Support
-    // ==========================================
-    
-    function checkReducedMotion() {
-        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-        
-        if (prefersReducedMotion) {
-            // Immediately show all fade-in elements
-            fadeElements.forEach(el => {
-                el.classList.add('visible');
+/**
+ * Render the timeline panels from the resume data.
+ * Re-renders keep items visible instead of replaying the reveal.
+ */
+function renderTimeline() {
+    const containers = document.querySelectorAll('[data-resume-section]');
+    if (!containers.length) return Promise.resolve();
+
+    return loadResume()
+        .then(data => {
+            containers.forEach(container => {
+                const wasRendered = container.childElementCount > 0;
+                const items = buildTimelineItems(data, container.dataset.resumeSection);
+
+                container.replaceChildren(...items);
+                if (wasRendered) {
+                    items.forEach(item => item.classList.add('visible'));
+                } else {
+                    observeFadeIn(items);
+                }
             });
-            
-            // Set numbers immediately
-            highlightNumbers.forEach(number => {
-                number.textContent = number.dataset.count;
+            careerChart.render(buildCareerChartGroups(data));
+            document.dispatchEvent(new CustomEvent('timelinerender'));
+        })
+        .catch(error => {
+            console.warn('Could not render the timeline:', error);
+            containers.forEach(container => {
+                container.replaceChildren(createElement('p', 'timeline-text', t('timeline.loadError')));
             });
-            numbersAnimated = true;
-        }
-        
-        return prefersReducedMotion;
-    }
-
-    // ==========================================
-    // Custom Mouse Cursor Animation
-    // ==========================================
-    
-    let mouseX = 0;
-    let mouseY = 0;
-    let cursorX = 0;
-    let cursorY = 0;
-    let ringX = 0;
-    let ringY = 0;
-    let isMouseMoving = false;
-    let sparkleThrottle = 0;
-
-    /**
-     * Create custom cursor elements
-     */
-    function createCursorElements() {
-        // Check if touch device or reduced motion
-        const isTouchDevice = window.matchMedia('(hover: none) and (pointer: coarse)').matches;
-        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-        
-        if (isTouchDevice || prefersReducedMotion) return;
-
-        // Create glow element
-        cursorGlow = document.createElement('div');
-        cursorGlow.className = 'cursor-glow';
-        cursorGlow.setAttribute('aria-hidden', 'true');
-        document.body.appendChild(cursorGlow);
-
-        // Create dot element
-        cursorDot = document.createElement('div');
-        cursorDot.className = 'cursor-dot';
-        cursorDot.setAttribute('aria-hidden', 'true');
-        document.body.appendChild(cursorDot);
-
-        // Create ring element
-        cursorRing = document.createElement('div');
-        cursorRing.className = 'cursor-ring';
-        cursorRing.setAttribute('aria-hidden', 'true');
-        document.body.appendChild(cursorRing);
-
-        // Initialize cursor animation
-        initCursorAnimation();
-    }
-
-    /**
-     * Initialize cursor animation loop
-     */
-    function initCursorAnimation() {
-        // Mouse move handler
-        document.addEventListener('mousemove', (e) => {
-            mouseX = e.clientX;
-            mouseY = e.clientY;
-            isMouseMoving = true;
-
-            // Activate cursor elements
-            cursorGlow.classList.add('active');
-            cursorDot.classList.add('active');
-            cursorRing.classList.add('active');
-
-            // Create occasional sparkles
-            sparkleThrottle++;
-            if (sparkleThrottle % 5 === 0) {
-                createSparkle(mouseX, mouseY);
-            }
+            careerChart.render([], { emptyText: t('timeline.loadError') });
         });
+}
 
-        // Mouse leave handler
-        document.addEventListener('mouseleave', () => {
-            isMouseMoving = false;
-            cursorGlow.classList.remove('active');
-            cursorDot.classList.remove('active');
-            cursorRing.classList.remove('active');
-        });
+// ==========================================
+// Timeline Filters
+// ==========================================
+
+const timelineFilterForm = document.querySelector('.timeline-filters');
+const timelineStatus = document.getElementById('timeline-status');
+const TIMELINE_FILTER_PARAMS = ['q', 'tag', 'from', 'to', 'sort'];
+let timelineAnnounceTimer = null;
+
+/**
+ * Current filter values from the filter form
+ */
+function readTimelineFilters() {
+    const fields = timelineFilterForm.elements;
+    const toYear = (value) => value === '' ? null : parseInt(value, 10);
+
+    return {
+        q: fields.q.value.trim(),
+        tag: fields.tag.value,
+        from: toYear(fields.from.value),
+        to: toYear(fields.to.value),
+        sort: fields.sort.value === 'asc' ? 'asc' : 'desc'
+    };
+}
+
+/**
+ * Whether any filter narrows the timeline (sorting does not)
+ */
+function hasActiveTimelineFilters(filters) {
+    return Boolean(filters.q || filters.tag || filters.from !== null || filters.to !== null);
+}
+
+/**
+ * Test one rendered timeline item against the filters
+ */
+function matchesTimelineFilters(item, filters) {
+    if (filters.q && !item.textContent.toLowerCase().includes(filters.q.toLowerCase())) {
+        return false;
+    }
+
+    if (filters.tag) {
+        const keywords = item.dataset.keywords ? item.dataset.keywords.split('|') : [];
+        if (!keywords.includes(filters.tag)) return false;
+    }
+
+    if (filters.from !== null || filters.to !== null) {
+        // Undated entries (e.g. certificates) drop out of date ranges
+        if (!item.dataset.start) return false;
+        if (filters.from !== null && Number(item.dataset.end) < filters.from) return false;
+        if (filters.to !== null && Number(item.dataset.start) > filters.to) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Order by start date; undated entries always go last
+ */
+function compareTimelineItems(direction) {
+    return (a, b) => {
+        const keyA = a.dataset.sortKey || '';
+        const keyB = b.dataset.sortKey || '';
+        if (!keyA || !keyB) return keyA ? -1 : keyB ? 1 : 0;
 
-        // Mouse down/up for click effect
-        document.addEventListener('mousedown', () => {
-            cursorDot.classList.add('clicking');
-            // Create burst of sparkles on click
-            for (let i = 0; i < 5; i++) {
-                setTimeout(() => {
-                    createSparkle(
-                        mouseX + (Math.random() - 0.5) * 30,
-                        mouseY + (Math.random() - 0.5) * 30
-                    );
-                }, i * 30);
+        const order = keyA.localeCompare(keyB);
+        return direction === 'asc' ? order : -order;
+    };
+}
+
+/**
+ * Filter and sort both timeline panels in place
+ */
+function applyTimelineFilters({ announce = true } = {}) {
+    if (!timelineFilterForm) return;
+
+    const filters = readTimelineFilters();
+    const matching = new Set();
+    let shown = 0;
+    let total = 0;
+
+    document.querySelectorAll('[data-resume-section]').forEach(container => {
+        const items = Array.from(container.querySelectorAll('.timeline-item'));
+        let visibleIndex = 0;
+
+        items.sort(compareTimelineItems(filters.sort)).forEach(item => {
+            container.appendChild(item);
+
+            const visible = matchesTimelineFilters(item, filters);
+            item.hidden = !visible;
+            if (visible) {
+                // Alternation is class-based so hidden items don't break it
+                item.classList.toggle('timeline-item--even', visibleIndex % 2 === 1);
+                visibleIndex++;
+                matching.add(item.getAttribute('aria-labelledby'));
             }
         });
 
-        document.addEventListener('mouseup', () => {
-            cursorDot.classList.remove('clicking');
-        });
+        shown += visibleIndex;
+        total += items.length;
+        updateTimelineEmptyState(container, items.length > 0 && visibleIndex === 0);
+    });
+
+    if (timelineStatus) {
+        const message = hasActiveTimelineFilters(filters)
+            ? t('timeline.filters.results', { count: shown, total })
+            : '';
+        clearTimeout(timelineAnnounceTimer);
+        if (announce) {
+            // Debounced so screen readers don't hear every keystroke
+            timelineAnnounceTimer = setTimeout(() => {
+                timelineStatus.textContent = message;
+            }, 400);
+        } else {
+            timelineStatus.textContent = message;
+        }
+    }
 
-        // Hover effect for interactive elements
-        const interactiveElements = document.querySelectorAll('a, button, .contact-card, .skill-tag, .timeline-content, .toggle-btn');
-        interactiveElements.forEach(el => {
-            el.addEventListener('mouseenter', () => {
-                cursorRing.classList.add('hovering');
-            });
-            el.addEventListener('mouseleave', () => {
-                cursorRing.classList.remove('hovering');
-            });
+    // The career chart dims what the lists hide
+    careerChart.setMatchingEntries(hasActiveTimelineFilters(filters) ? matching : null);
+    syncTimelineFilterUrl(filters);
+}
+
+/**
+ * Show or hide the "no matches" note after a panel's items
+ */
+function updateTimelineEmptyState(container, isEmpty) {
+    let note = container.parentElement.querySelector('.timeline-empty');
+    if (!note && isEmpty) {
+        note = createElement('p', 'timeline-empty');
+        note.setAttribute('data-i18n', 'timeline.filters.empty');
+        note.textContent = t('timeline.filters.empty');
+        container.after(note);
+    }
+    if (note) {
+        note.hidden = !isEmpty;
+    }
+}
+
+/**
+ * Mirror the filters in the query string so a view can be shared
+ */
+function syncTimelineFilterUrl(filters) {
+    const url = new URL(window.location.href);
+    TIMELINE_FILTER_PARAMS.forEach(param => url.searchParams.delete(param));
+
+    if (filters.q) url.searchParams.set('q', filters.q);
+    if (filters.tag) url.searchParams.set('tag', filters.tag);
+    if (filters.from !== null) url.searchParams.set('from', filters.from);
+    if (filters.to !== null) url.searchParams.set('to', filters.to);
+    if (filters.sort !== 'desc') url.searchParams.set('sort', filters.sort);
+
+    if (url.href !== window.location.href) {
+        history.replaceState(history.state, '', url);
+    }
+}
+
+/**
+ * Fill the technology and year inputs from the resume data,
+ * keeping the current (or URL-provided) selection
+ */
+function populateTimelineFilterOptions(data) {
+    const fields = timelineFilterForm.elements;
+    const entries = (data.work || []).concat(data.education || []);
+
+    const keywords = new Set();
+    entries.forEach(entry => (entry.keywords || []).forEach(keyword => keywords.add(keyword)));
+
+    const selectedTag = fields.tag.value || fields.tag.dataset.pending || '';
+    const allOption = fields.tag.options[0];
+    fields.tag.replaceChildren(allOption);
+    Array.from(keywords).sort((a, b) => a.localeCompare(b)).forEach(keyword => {
+        fields.tag.appendChild(new Option(keyword, keyword));
+    });
+    fields.tag.value = keywords.has(selectedTag) ? selectedTag : '';
+    delete fields.tag.dataset.pending;
+
+    const years = entries.map(getEntryPeriod).filter(Boolean);
+    if (years.length) {
+        const min = Math.min(...years.map(period => period.start));
+        const max = Math.max(...years.map(period => period.end));
+        [fields.from, fields.to].forEach(input => {
+            input.min = min;
+            input.max = max;
         });
+        fields.from.placeholder = min;
+        fields.to.placeholder = max;
+    }
+}
 
-        // Start animation loop
-        animateCursor();
-    }
-
-    /**
-     * Animate cursor with smooth lerp
-     */
-    function animateCursor() {
-        // Smooth interpolation (lerp)
-        const lerpFactor = 0.15;
-        const ringLerpFactor = 0.08;
-
-        cursorX += (mouseX - cursorX) * lerpFactor;
-        cursorY += (mouseY - cursorY) * lerpFactor;
-        ringX += (mouseX - ringX) * ringLerpFactor;
-        ringY += (mouseY - ringY) * ringLerpFactor;
-
-        // Update positions
-        if (cursorGlow) {
-            cursorGlow.style.left = cursorX + 'px';
-            cursorGlow.style.top = cursorY + 'px';
-        }
-        if (cursorDot) {
-            cursorDot.style.left = cursorX + 'px';
-            cursorDot.style.top = cursorY + 'px';
-        }
-        if (cursorRing) {
-            cursorRing.style.left = ringX + 'px';
-            cursorRing.style.top = ringY + 'px';
-        }
-
-        requestAnimationFrame(animateCursor);
-    }
-
-    /**
-     * Create a sparkle particle
-     */
-    function createSparkle(x, y) {
-        const sparkle = document.createElement('div');
-        sparkle.className = 'sparkle';
-        sparkle.setAttribute('aria-hidden', 'true');
-        sparkle.style.left = x + 'px';
-        sparkle.style.top = y + 'px';
-        sparkle.style.background = Math.random() > 0.5 ? 'var(--color-primary-light)' : 'var(--color-secondary)';
-        document.body.appendChild(sparkle);
-
-        // Remove after animation
-        setTimeout(() => {
-            sparkle.remove();
-        }, 600);
-    }
-
-    // ==========================================
-    // Theme Toggle
-    // ==========================================
-    
-    /**
-     * Initialize theme from localStorage or system preference
-     */
-    function initTheme() {
-        const savedTheme = localStorage.getItem('theme');
-        
-        // Only switch to light if explicitly saved as light
-        if (savedTheme === 'light') {
-            document.documentElement.setAttribute('data-theme', 'light');
-            if (themeToggle) {
-                themeToggle.setAttribute('aria-checked', 'true');
-                themeToggle.setAttribute('aria-label', 'Switch to dark theme');
-            }
+/**
+ * Restore filters from the URL and wire up live filtering
+ */
+function initTimelineFilters() {
+    if (!timelineFilterForm) return;
+
+    const fields = timelineFilterForm.elements;
+    const params = new URLSearchParams(window.location.search);
+
+    fields.q.value = params.get('q') || '';
+    fields.from.value = params.get('from') || '';
+    fields.to.value = params.get('to') || '';
+    fields.sort.value = params.get('sort') === 'asc' ? 'asc' : 'desc';
+    // Tag options only exist once the resume is loaded
+    fields.tag.dataset.pending = params.get('tag') || '';
+
+    timelineFilterForm.addEventListener('submit', (e) => e.preventDefault());
+    timelineFilterForm.addEventListener('input', () => applyTimelineFilters());
+    timelineFilterForm.addEventListener('reset', () => {
+        // Field values are reset after the event has been dispatched
+        setTimeout(() => applyTimelineFilters(), 0);
+    });
+
+    document.addEventListener('timelinerender', () => {
+        if (resume) {
+            populateTimelineFilterOptions(resume);
+        }
+        applyTimelineFilters({ announce: false });
+    });
+}
+
+// ==========================================
+// Skill Explorer
+// ==========================================
+
+const selectedSkills = new Set();
+let skillPopover = null;
+let lastSkillTag = null;
+
+/**
+ * Work and education entries of the loaded resume
+ */
+function getResumeEntries() {
+    return resume ? (resume.work || []).concat(resume.education || []) : [];
+}
+
+/**
+ * Skills used in an entry: the "skills" extension plus displayed keywords
+ */
+function getEntrySkills(entry) {
+    return (entry.skills || []).concat(entry.keywords || []).map(skill => skill.toLowerCase());
+}
+
+/**
+ * Resume entries that list a skill
+ */
+function findSkillEntries(skill) {
+    const key = skill.toLowerCase();
+    return getResumeEntries().filter(entry => getEntrySkills(entry).includes(key));
+}
+
+/**
+ * Years of experience from the dated entries, overlaps merged,
+ * rounded to half years
+ */
+function computeExperienceYears(entries) {
+    const toMonth = (date) => {
+        const [year, month = '1'] = date.split('-');
+        return Number(year) * 12 + Number(month) - 1;
+    };
+    const now = new Date();
+    const nowMonth = now.getFullYear() * 12 + now.getMonth();
+
+    const ranges = entries
+        .filter(entry => entry.startDate)
+        .map(entry => [toMonth(entry.startDate), entry.endDate ? toMonth(entry.endDate) : nowMonth])
+        .sort((a, b) => a[0] - b[0]);
+
+    let months = 0;
+    let current = null;
+    ranges.forEach(([start, end]) => {
+        if (!current || start > current[1]) {
+            if (current) months += current[1] - current[0];
+            current = [start, end];
         } else {
-            // Dark theme is the default
-            document.documentElement.removeAttribute('data-theme');
-            if (themeToggle) {
-                themeToggle.setAttribute('aria-checked', 'false');
-                themeToggle.setAttribute('aria-label', 'Switch to light theme');
-            }
+            current[1] = Math.max(current[1], end);
         }
+    });
+    if (current) months += current[1] - current[0];
+
+    return Math.round(months / 6) / 2;
+}
+
+/**
+ * Localized "n years" line for a set of entries
+ */
+function formatExperience(entries) {
+    const years = computeExperienceYears(entries);
+    return years > 0
+        ? t('skills.explorer.years', { count: years })
+        : t('skills.explorer.noYears');
+}
+
+/**
+ * Turn skill tags that appear in the resume into toggle buttons
+ */
+function enhanceSkillTags() {
+    document.querySelectorAll('span.skill-tag').forEach(span => {
+        const skill = span.textContent.trim();
+        if (!findSkillEntries(skill).length) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = span.className;
+        button.textContent = skill;
+        button.dataset.skill = skill;
+        button.setAttribute('aria-pressed', 'false');
+        button.setAttribute('aria-controls', 'skill-popover');
+        button.addEventListener('click', () => toggleSkill(button));
+        span.replaceWith(button);
+    });
+}
+
+/**
+ * Select or deselect a skill tag
+ */
+function toggleSkill(button) {
+    const skill = button.dataset.skill;
+    if (selectedSkills.has(skill)) {
+        selectedSkills.delete(skill);
+    } else {
+        selectedSkills.add(skill);
     }
-    
-    /**
-     * Toggle between light and dark theme
-     */
-    function toggleTheme() {
-        const isLight = document.documentElement.getAttribute('data-theme') === 'light';
-        
-        if (isLight) {
-            document.documentElement.removeAttribute('data-theme');
-            localStorage.setItem('theme', 'dark');
-            themeToggle.setAttribute('aria-checked', 'false');
-            themeToggle.setAttribute('aria-label', 'Switch to light theme');
-        } else {
-            document.documentElement.setAttribute('data-theme', 'light');
-            localStorage.setItem('theme', 'light');
-            themeToggle.setAttribute('aria-checked', 'true');
-            themeToggle.setAttribute('aria-label', 'Switch to dark theme');
-        }
-    }
-
-    // ==========================================
-    // Language Toggle
-    // ==========================================
-    
-    /**
-     * Initialize language from localStorage
-     */
-    function initLanguage() {
-        const savedLang = localStorage.getItem('language') || 'en';
-        
-        if (savedLang === 'de') {
-            document.documentElement.lang = 'de';
-            applyLanguage('de');
-            if (langToggle) {
-                langToggle.setAttribute('aria-checked', 'true');
-                langToggle.setAttribute('aria-label', 'Switch to English');
-            }
-        } else {
-            document.documentElement.lang = 'en';
-            applyLanguage('en');
-            if (langToggle) {
-                langToggle.setAttribute('aria-checked', 'false');
-                langToggle.setAttribute('aria-label', 'Switch to German');
-            }
+    button.setAttribute('aria-pressed', String(selectedSkills.has(skill)));
+    lastSkillTag = button;
+
+    updateSkillHighlights({ switchTab: true });
+    renderSkillPopover();
+}
+
+/**
+ * Deselect all skills and return focus to the last used tag
+ */
+function clearSkillSelection() {
+    selectedSkills.clear();
+    document.querySelectorAll('.skill-tag[aria-pressed]').forEach(tag => {
+        tag.setAttribute('aria-pressed', 'false');
+    });
+    updateSkillHighlights();
+    renderSkillPopover();
+
+    if (lastSkillTag) {
+        lastSkillTag.focus();
+    }
+}
+
+/**
+ * Mark timeline items using any selected skill (.skill-match) and
+ * those using all of them (.skill-overlap)
+ */
+function updateSkillHighlights({ switchTab = false } = {}) {
+    const skills = Array.from(selectedSkills, skill => skill.toLowerCase());
+    const entries = getResumeEntries();
+    const timeline = document.getElementById('timeline');
+
+    if (timeline) {
+        timeline.classList.toggle('has-skill-selection', skills.length > 0);
+    }
+
+    document.querySelectorAll('.timeline-item').forEach(item => {
+        const entry = entries.find(e => e.id === item.getAttribute('aria-labelledby'));
+        const entrySkills = entry ? getEntrySkills(entry) : [];
+        const matched = skills.filter(skill => entrySkills.includes(skill));
+
+        item.classList.toggle('skill-match', matched.length > 0);
+        item.classList.toggle('skill-overlap', skills.length > 1 && matched.length === skills.length);
+    });
+
+    // Jump to the other tab when the visible one has nothing to show
+    if (switchTab && skills.length) {
+        const activePanel = document.querySelector('.timeline-panel.active');
+        if (activePanel && !activePanel.querySelector('.skill-match')) {
+            const panel = Array.from(timelinePanels).find(p => p.querySelector('.skill-match'));
+            const tab = panel && document.querySelector(`.toggle-btn[aria-controls="${panel.id}"]`);
+            if (tab) activateTimelineTab(tab);
         }
     }
-    
-    /**
-     * Toggle between English and German
-     */
-    function toggleLanguage() {
-        const isGerman = document.documentElement.lang === 'de';
-        
-        if (isGerman) {
-            document.documentElement.lang = 'en';
-            localStorage.setItem('language', 'en');
-            applyLanguage('en');
-            langToggle.setAttribute('aria-checked', 'false');
-            langToggle.setAttribute('aria-label', 'Switch to German');
-        } else {
-            document.documentElement.lang = 'de';
-            localStorage.setItem('language', 'de');
-            applyLanguage('de');
-            langToggle.setAttribute('aria-checked', 'true');
-            langToggle.setAttribute('aria-label', 'Switch to English');
-        }
-    }
-    
-    /**
-     * Apply language to all translatable elements
-     */
-    function applyLanguage(lang) {
-        const translatableElements = document.querySelectorAll('[data-en][data-de]');
-        
-        translatableElements.forEach(element => {
-            const text = element.getAttribute(`data-${lang}`);
-            if (text) {
-                element.textContent = text;
+}
+
+/**
+ * Link list of timeline entries for the popover
+ */
+function renderSkillEntryList(entries) {
+    const list = createElement('ul', 'skill-popover-entries');
+    entries.forEach(entry => {
+        const heading = document.getElementById(entry.id);
+        const link = createElement('a', null, heading ? heading.textContent : entry.id);
+        // Routed by the hash router, so back returns to the skills
+        link.href = `#${entry.id}`;
+        list.appendChild(createElement('li')).appendChild(link);
+    });
+    return list;
+}
+
+/**
+ * Show experience and overlap details for the selected skills next to
+ * the last toggled tag, so it follows it in the tab order
+ */
+function renderSkillPopover() {
+    if (!skillPopover) return;
+
+    const skills = Array.from(selectedSkills);
+    if (!skills.length) {
+        skillPopover.hidden = true;
+        return;
+    }
+
+    const content = [createElement('h4', 'skill-popover-title', skills.join(' + '))];
+    const summary = createElement('p', 'skill-popover-summary');
+    summary.setAttribute('role', 'status');
+
+    if (skills.length === 1) {
+        const entries = findSkillEntries(skills[0]);
+        summary.textContent = formatExperience(entries);
+        content.push(summary, createElement('p', 'skill-popover-label', t('skills.explorer.usedIn')));
+        content.push(renderSkillEntryList(entries));
+    } else {
+        const perSkill = createElement('ul', 'skill-popover-years');
+        skills.forEach(skill => {
+            perSkill.appendChild(createElement('li', null, `${skill}: ${formatExperience(findSkillEntries(skill))}`));
+        });
+
+        const keys = skills.map(skill => skill.toLowerCase());
+        const shared = getResumeEntries().filter(entry => {
+            const entrySkills = getEntrySkills(entry);
+            return keys.every(key => entrySkills.includes(key));
+        });
+
+        summary.textContent = shared.length
+            ? t('skills.explorer.overlap', { count: shared.length })
+            : t('skills.explorer.noOverlap');
+        content.push(summary, perSkill);
+        if (shared.length) {
+            content.push(renderSkillEntryList(shared));
+        }
+    }
+
+    const clear = createElement('button', 'skill-popover-clear', t('skills.explorer.clear'));
+    clear.type = 'button';
+    clear.addEventListener('click', clearSkillSelection);
+    content.push(clear);
+
+    skillPopover.replaceChildren(...content);
+    if (lastSkillTag) {
+        lastSkillTag.closest('.skill-tags').after(skillPopover);
+    }
+    skillPopover.hidden = false;
+}
+
+/**
+ * Wire skill tags to the timeline once the resume is rendered
+ */
+function initSkillExplorer() {
+    skillPopover = createElement('div', 'skill-popover');
+    skillPopover.id = 'skill-popover';
+    skillPopover.setAttribute('role', 'region');
+    skillPopover.setAttribute('data-i18n-attr', 'aria-label:skills.explorer.label');
+    skillPopover.setAttribute('aria-label', t('skills.explorer.label'));
+    skillPopover.hidden = true;
+
+    // Escape on a tag or inside the popover clears the selection
+    const skillsGrid = document.querySelector('.skills-grid');
+    if (skillsGrid) {
+        skillsGrid.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && selectedSkills.size) {
+                clearSkillSelection();
             }
         });
     }
 
-    // ==========================================
-    // Initialize Everything
-    // ==========================================
-    
-    function init() {
-        // Check for reduced motion preference
-        checkReducedMotion();
+    document.addEventListener('timelinerender', () => {
+        enhanceSkillTags();
+        updateSkillHighlights();
+        renderSkillPopover();
+    });
+}
+
+// ==========================================
+// Projects (GitHub)
+// ==========================================
+
+const projectsSection = document.getElementById('projects');
+const PINNED_PROJECTS_KEY = 'pinnedProjects';
+let projectsLoad = null;
+let projectsResult = null;
+
+function getPinnedProjects() {
+    try {
+        const pinned = JSON.parse(localStorage.getItem(PINNED_PROJECTS_KEY));
+        return Array.isArray(pinned) ? pinned : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function togglePinnedProject(name) {
+    const pinned = getPinnedProjects();
+    const next = pinned.includes(name)
+        ? pinned.filter(entry => entry !== name)
+        : [...pinned, name];
+    localStorage.setItem(PINNED_PROJECTS_KEY, JSON.stringify(next));
+}
+
+function formatProjectDate(timestamp) {
+    return new Intl.DateTimeFormat(currentLocale, { dateStyle: 'medium' }).format(new Date(timestamp));
+}
+
+function renderProjectCard(repo, isPinned) {
+    const card = createElement('li', 'project-card');
+    card.classList.toggle('is-pinned', isPinned);
+
+    const header = card.appendChild(createElement('div', 'project-header'));
+    const title = header.appendChild(createElement('h3', 'project-title'));
+    const link = title.appendChild(createElement('a', null, repo.name));
+    link.href = repo.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+
+    const pin = header.appendChild(createElement('button', 'project-pin'));
+    pin.type = 'button';
+    pin.dataset.project = repo.name;
+    pin.setAttribute('aria-pressed', String(isPinned));
+    pin.setAttribute('aria-label', t('projects.pin', { name: repo.name }));
+    pin.title = t(isPinned ? 'projects.unpin' : 'projects.pin', { name: repo.name });
+    pin.appendChild(createElement('span', null, '📌')).setAttribute('aria-hidden', 'true');
+
+    if (repo.description) {
+        card.appendChild(createElement('p', 'project-description', repo.description));
+    }
 
-        // Initialize custom cursor
-        createCursorElements();
+    if (repo.languages.length) {
+        const languages = card.appendChild(createElement('ul', 'project-languages'));
+        languages.setAttribute('aria-label', t('projects.language'));
+        repo.languages.forEach(language => {
+            languages.appendChild(createElement('li', 'project-language', language));
+        });
+    }
 
-        // Update current year
-        updateCurrentYear();
+    const meta = card.appendChild(createElement('p', 'project-meta'));
+    meta.appendChild(createElement('span', 'project-stars', t('projects.stars', { count: repo.stars })));
+    if (repo.pushedAt) {
+        const updated = meta.appendChild(createElement('time', 'project-updated',
+            t('projects.updated', { date: formatProjectDate(repo.pushedAt) })));
+        updated.dateTime = repo.pushedAt;
+    }
+    return card;
+}
 
-        // Initialize smooth scroll
-        initSmoothScroll();
+/**
+ * Language options from the loaded repos, keeping the current choice
+ */
+function populateProjectLanguages(repos) {
+    const select = projectsSection.querySelector('.projects-language');
+    const current = select.value;
+    const languages = [...new Set(repos.flatMap(repo => repo.languages))]
+        .sort((a, b) => a.localeCompare(b));
+
+    select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+    languages.forEach(language => {
+        const option = createElement('option', null, language);
+        option.value = language;
+        select.appendChild(option);
+    });
+    select.value = languages.includes(current) ? current : '';
+}
+
+function renderProjectsStatus(visibleCount) {
+    const status = projectsSection.querySelector('.projects-status');
+    if (!projectsResult) {
+        status.textContent = t('projects.error');
+    } else if (!visibleCount) {
+        status.textContent = t('projects.empty');
+    } else if (projectsResult.origin === 'stale' || projectsResult.origin === 'snapshot') {
+        status.textContent = t('projects.offline', { date: formatProjectDate(projectsResult.savedAt) });
+    } else {
+        status.textContent = '';
+    }
+}
 
-        // Initialize fade-in animations
-        initFadeInAnimations();
+/**
+ * Render the cards: pinned first, then most recently pushed
+ */
+function renderProjects() {
+    const grid = projectsSection.querySelector('.projects-grid');
+    const language = projectsSection.querySelector('.projects-language').value;
+    const pinned = getPinnedProjects();
+    const repos = projectsResult ? projectsResult.repos : [];
+
+    const visible = repos
+        .filter(repo => !language || repo.languages.includes(language))
+        .sort((a, b) => (pinned.includes(b.name) - pinned.includes(a.name)) ||
+            (Date.parse(b.pushedAt) || 0) - (Date.parse(a.pushedAt) || 0));
+
+    const wasRendered = grid.childElementCount > 0;
+    const cards = visible.map(repo => renderProjectCard(repo, pinned.includes(repo.name)));
+    grid.replaceChildren(...cards);
+    cards.forEach(card => card.classList.add('fade-in'));
+    if (wasRendered) {
+        cards.forEach(card => card.classList.add('visible'));
+    } else {
+        observeFadeIn(cards);
+    }
 
-        // Handle image errors
-        handleImageError();
+    renderProjectsStatus(visible.length);
+}
 
-        // Event Listeners
-        navToggle.addEventListener('click', toggleMobileMenu);
-        
-        navLinks.forEach(link => {
-            link.addEventListener('click', closeMobileMenu);
+/**
+ * Options: fetch (replaces window.fetch for API and snapshot) or a
+ * complete source ({ listRepos() }) for tests
+ */
+function initProjects(options = {}) {
+    if (!projectsSection) return;
+
+    const { githubUser, apiBase, snapshot, cacheTtl } = projectsSection.dataset;
+    const fetchImpl = options.fetch || window.fetch.bind(window);
+    const config = {
+        snapshot: snapshot || 'data/projects.json',
+        ttl: parseInt(cacheTtl, 10) || 3600,
+        cacheKey: `githubRepos:${githubUser}`,
+        fetchImpl
+    };
+    const source = options.source || createGitHubSource({ user: githubUser, baseUrl: apiBase, fetchImpl });
+
+    projectsLoad = loadProjects(source, config)
+        .then(result => {
+            projectsResult = result;
+            populateProjectLanguages(result.repos);
+        })
+        .catch(error => {
+            console.warn('Could not render the projects:', error);
         });
 
-        window.addEventListener('scroll', handleScroll, { passive: true });
-        
-        backToTopBtn.addEventListener('click', scrollToTop);
+    projectsSection.querySelector('.projects-language')
+        .addEventListener('change', renderProjects);
+
+    // Re-render keeps the toggled pin focused even though it moves
+    const grid = projectsSection.querySelector('.projects-grid');
+    grid.addEventListener('click', (event) => {
+        const pin = event.target.closest('.project-pin');
+        if (!pin) return;
+
+        const name = pin.dataset.project;
+        togglePinnedProject(name);
+        renderProjects();
+        const moved = Array.from(grid.querySelectorAll('.project-pin'))
+            .find(button => button.dataset.project === name);
+        if (moved) moved.focus();
+    });
+
+    // Rendered once the dictionaries are ready, and again per language
+    document.addEventListener('languagechange', () => projectsLoad.then(renderProjects));
+}
+
+// ==========================================
+// Writing (posts/*.md)
+// ==========================================
+
+const writingSection = document.getElementById('writing');
+const postMarkdown = new Map();
+let postsIndex = null;
+let activePostTag = '';
+let openPostId = null;
+let openPostTitle = null;
+let postRequest = 0;
+
+function loadPostsIndex() {
+    if (!postsIndex) {
+        postsIndex = fetch(writingSection.dataset.index || 'posts/index.json')
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => (data.posts || []).sort((a, b) => b.date.localeCompare(a.date)));
+    }
+    return postsIndex;
+}
 
-        timelineTabs.forEach(tab => {
-            tab.addEventListener('click', switchTimelineTab);
-            tab.addEventListener('keydown', handleTabKeydown);
-        });
+/**
+ * Fetch a post once; a failed fetch is forgotten so it can be retried
+ */
+function loadPostMarkdown(file) {
+    if (!postMarkdown.has(file)) {
+        postMarkdown.set(file, fetch(file)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .catch(error => {
+                postMarkdown.delete(file);
+                throw error;
+            }));
+    }
+    return postMarkdown.get(file);
+}
+
+/**
+ * The variant for the active language, or the closest fallback
+ */
+function getPostVariant(post) {
+    const lang = post.variants[currentLocale] ? currentLocale
+        : post.variants[DEFAULT_LOCALE] ? DEFAULT_LOCALE
+            : Object.keys(post.variants)[0];
+    return { lang, ...post.variants[lang] };
+}
+
+/**
+ * Minutes at ~200 words per minute, at least one
+ */
+function estimateReadingTime(markdown) {
+    const words = markdown.trim().split(/\s+/).filter(Boolean).length;
+    return Math.max(1, Math.round(words / 200));
+}
+
+/**
+ * The rendered title comes from the index, so a leading "# Title"
+ * in the file is skipped
+ */
+function stripTitleHeading(markdown) {
+    return markdown.replace(/^\s*#\s+[^\n]*\n/, '');
+}
+
+function formatPostDate(date) {
+    return new Intl.DateTimeFormat(currentLocale, { dateStyle: 'long' }).format(new Date(`${date}T00:00:00`));
+}
+
+function renderPostMeta(post, minutes) {
+    const meta = createElement('p', 'post-meta');
+    const date = meta.appendChild(createElement('time', null, formatPostDate(post.date)));
+    date.dateTime = post.date;
+    if (minutes) {
+        meta.appendChild(createElement('span', null, t('writing.readingTime', { count: minutes })));
+    }
+    return meta;
+}
+
+function renderPostTags(tags) {
+    const list = createElement('ul', 'post-tags');
+    list.setAttribute('aria-label', t('writing.tagsLabel'));
+    tags.forEach(tag => list.appendChild(createElement('li', 'post-tag', tag)));
+    return list;
+}
+
+function renderTagFilter(posts) {
+    const group = writingSection.querySelector('.writing-tags');
+    const tags = [...new Set(posts.flatMap(post => post.tags || []))].sort((a, b) => a.localeCompare(b));
+
+    const buttons = [['', t('writing.allTags')], ...tags.map(tag => [tag, tag])].map(([tag, label]) => {
+        const button = createElement('button', 'writing-tag', label);
+        button.type = 'button';
+        button.dataset.tag = tag;
+        button.setAttribute('aria-pressed', String(tag === activePostTag));
+        return button;
+    });
+    group.replaceChildren(...buttons);
+}
 
-        document.addEventListener('keydown', handleEscapeKey);
+/**
+ * Render the post list for the active language and tag
+ */
+async function renderPostList() {
+    const list = writingSection.querySelector('.writing-posts');
+    const status = writingSection.querySelector('.writing-status');
+
+    let posts;
+    try {
+        posts = await loadPostsIndex();
+    } catch (error) {
+        console.warn('Could not load the posts index:', error);
+        status.textContent = t('writing.loadError');
+        return;
+    }
 
-        // Theme and Language toggle listeners
-        if (themeToggle) {
-            themeToggle.addEventListener('click', toggleTheme);
+    renderTagFilter(posts);
+    const visible = posts.filter(post => !activePostTag || (post.tags || []).includes(activePostTag));
+
+    // Reading times come from the index, so the list loads no posts
+    const cards = visible.map(post => {
+        const variant = getPostVariant(post);
+
+        const card = createElement('li', 'post-card');
+        if (variant.lang !== currentLocale) card.lang = variant.lang;
+        const title = card.appendChild(createElement('h3', 'post-card-title'));
+        const link = title.appendChild(createElement('a', null, variant.title));
+        link.href = `#writing/${post.id}`;
+        card.appendChild(renderPostMeta(post, variant.readingTime));
+        if (variant.summary) {
+            card.appendChild(createElement('p', 'post-summary', variant.summary));
         }
-        if (langToggle) {
-            langToggle.addEventListener('click', toggleLanguage);
+        if (post.tags && post.tags.length) {
+            card.appendChild(renderPostTags(post.tags));
+        }
+        return card;
+    });
+
+    list.replaceChildren(...cards);
+    status.textContent = visible.length ? '' : t('writing.empty');
+}
+
+/**
+ * Show a post in place of the list. Resolves with the article, or
+ * null when the id is unknown (the list stays up with a notice).
+ */
+async function openPost(id) {
+    const request = ++postRequest;
+    const article = writingSection.querySelector('.post');
+    const listView = writingSection.querySelector('.writing-list');
+    const status = writingSection.querySelector('.writing-status');
+
+    let post;
+    try {
+        post = (await loadPostsIndex()).find(entry => entry.id === id);
+    } catch (error) {
+        post = null;
+    }
+    if (!post) {
+        closePost();
+        status.textContent = t('writing.notFound');
+        return null;
+    }
+
+    const variant = getPostVariant(post);
+    let markdown;
+    try {
+        markdown = stripTitleHeading(await loadPostMarkdown(variant.file));
+    } catch (error) {
+        console.warn('Could not load post:', error);
+        closePost();
+        status.textContent = t('writing.loadError');
+        return null;
+    }
+    // A newer navigation (or language switch) took over meanwhile
+    if (request !== postRequest) return null;
+
+    const body = createElement('div', 'post-body');
+    body.appendChild(renderMarkdown(markdown, { createImage: createImageFrame }));
+
+    const back = createElement('a', 'post-back', t('writing.back'));
+    back.href = '#writing';
+
+    const title = createElement('h3', 'post-title', variant.title);
+    title.id = 'post-title';
+
+    const parts = [back, title, renderPostMeta(post, estimateReadingTime(markdown))];
+    if (variant.lang !== currentLocale) {
+        parts.push(createElement('p', 'post-fallback', t('writing.fallback', {
+            language: new Intl.DisplayNames([currentLocale], { type: 'language' }).of(variant.lang)
+        })));
+    }
+    parts.push(body);
+    if (post.tags && post.tags.length) {
+        parts.push(renderPostTags(post.tags));
+    }
+
+    article.replaceChildren(...parts);
+    article.lang = variant.lang;
+    article.dataset.post = post.id;
+    article.hidden = false;
+    listView.hidden = true;
+    openPostId = post.id;
+    openPostTitle = variant.title;
+
+    setPageTitle(variant.title);
+    return article;
+}
+
+function closePost() {
+    if (!writingSection || openPostId === null) return;
+    postRequest++;
+    openPostId = null;
+    openPostTitle = null;
+
+    const article = writingSection.querySelector('.post');
+    article.hidden = true;
+    article.replaceChildren();
+    writingSection.querySelector('.writing-list').hidden = false;
+    updateSectionTitle();
+}
+
+function initWriting() {
+    if (!writingSection) return;
+
+    writingSection.querySelector('.writing-tags').addEventListener('click', (event) => {
+        const button = event.target.closest('.writing-tag');
+        if (!button) return;
+        activePostTag = button.dataset.tag;
+        renderPostList().then(() => {
+            const pressed = writingSection.querySelector(`.writing-tag[aria-pressed="true"]`);
+            if (pressed) pressed.focus();
+        });
+    });
+
+    // List and open post follow the language toggle
+    document.addEventListener('languagechange', () => {
+        renderPostList();
+        if (openPostId !== null) {
+            const id = openPostId;
+            openPostId = null;
+            openPost(id);
         }
+    });
+}
 
-        // Initialize theme and language from localStorage
-        initTheme();
-        initLanguage();
+// ==========================================
+// Intersection Observer for Animations
+// ==========================================
 
-        // Initial scroll check
-        handleScroll();
+let fadeObserver = null;
 
-        // Log accessibility info
-        console.log('%c👋 Welcome to Martin Forstner\'s Portfolio!', 'font-size: 16px; font-weight: bold; color: #6366f1;');
-        console.log('%c♿ This site was built with accessibility in mind (WCAG 2.1 compliant)', 'font-size: 12px; color: #06b6d4;');
+/**
+ * Initialize fade-in animations using Intersection Observer
+ */
+function initFadeInAnimations() {
+    document.addEventListener('motionchange', (event) => {
+        if (event.detail.reduced) settleAnimations();
+    });
+
+    // Without the observer, observeFadeIn shows everything right away
+    if (!('IntersectionObserver' in window)) {
+        observeFadeIn(fadeElements);
+        return;
     }
 
-    // Run when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+    const observerOptions = {
+        root: null,
+        rootMargin: '0px 0px -50px 0px',
+        threshold: 0.1
+    };
+
+    fadeObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+
+            if (entry.target.matches('section[id]')) {
+                document.dispatchEvent(new CustomEvent('sectionvisible', { detail: { id: entry.target.id } }));
+            } else {
+                entry.target.classList.add('visible');
+            }
+        });
+    }, observerOptions);
+
+    observeFadeIn(fadeElements);
+
+    // Sections are watched for analytics even when motion is reduced
+    document.querySelectorAll('main section[id]').forEach(section => fadeObserver.observe(section));
+}
+
+/**
+ * Register elements rendered after init for the fade-in reveal
+ */
+function observeFadeIn(elements) {
+    elements.forEach(el => {
+        if (isReducedMotion() || !fadeObserver) {
+            el.classList.add('visible');
+        } else {
+            fadeObserver.observe(el);
+        }
+    });
+}
+
+/**
+ * Jump everything that animates in to its final state
+ */
+function settleAnimations() {
+    document.querySelectorAll('.fade-in').forEach(el => el.classList.add('visible'));
+    settleCounters();
+}
+
+// ==========================================
+// Current Year in Footer
+// ==========================================
+
+function updateCurrentYear() {
+    const yearElement = document.getElementById('current-year');
+    if (yearElement) {
+        yearElement.textContent = new Date().getFullYear();
     }
+}
+
+// ==========================================
+// Command Palette & Shortcut Help
+// ==========================================
+
+const palette = document.querySelector('.command-palette');
+const paletteInput = document.getElementById('command-input');
+const paletteList = document.getElementById('command-list');
+const paletteStatus = document.querySelector('.command-status');
+const shortcutHelp = document.querySelector('.shortcut-help');
+const MAX_COMMAND_RESULTS = 50;
+let paletteCommands = [];
+let paletteResults = [];
+let activeCommand = -1;
+let focusBeforeDialog = null;
+
+/**
+ * Lowercase, accents stripped, one output character per input
+ * character so match positions map back onto the label
+ */
+function foldForSearch(text) {
+    return Array.from(text, char => {
+        const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        return folded.length === 1 ? folded : char.toLowerCase().charAt(0) || char;
+    }).join('');
+}
+
+/**
+ * Subsequence match of query in text. Consecutive characters and
+ * word starts score higher; null when a character is missing.
+ */
+function fuzzyMatch(query, text) {
+    const haystack = foldForSearch(text);
+    const needle = foldForSearch(query).replace(/\s+/g, '');
+    if (!needle) return { score: 0, indices: [] };
+
+    const indices = [];
+    let score = 0;
+    let position = 0;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, position);
+        if (index === -1) return null;
+
+        const previous = indices[indices.length - 1];
+        score += 1;
+        if (previous !== undefined && index === previous + 1) score += 5;
+        if (index === 0 || /[^a-z0-9]/.test(haystack[index - 1])) score += 3;
+        score -= Math.min(index - position, 3) * 0.1;
+
+        indices.push(index);
+        position = index + 1;
+    }
+    if (haystack.includes(foldForSearch(query).trim())) score += 10;
+    return { score, indices };
+}
+
+/**
+ * Everything the palette can do, built fresh on open so labels
+ * follow the language and the current state (theme, entries)
+ */
+function getPaletteCommands() {
+    const commands = [];
+
+    navLinks.forEach(link => {
+        const hash = link.getAttribute('href');
+        // Not every href is a valid selector (#writing/<id>, ids like #2024)
+        const section = document.getElementById(hash.slice(1));
+        const title = section && section.querySelector('.section-title');
+        commands.push({
+            group: 'section',
+            label: link.textContent.trim(),
+            keywords: `${hash.slice(1)} ${title ? title.textContent.trim() : ''}`,
+            run: () => followHash(hash)
+        });
+    });
+
+    document.querySelectorAll('.timeline-panel .timeline-title[id]').forEach(heading => {
+        const panel = heading.closest('.timeline-panel');
+        const tab = document.querySelector(`.toggle-btn[aria-controls="${panel.id}"]`);
+        const company = heading.closest('.timeline-content').querySelector('.timeline-company');
+        commands.push({
+            group: 'entry',
+            label: heading.textContent.trim(),
+            keywords: [tab && tab.textContent.trim(), company && company.textContent.trim()].filter(Boolean).join(' '),
+            run: () => followHash(`#${heading.id}`)
+        });
+    });
+
+    const skills = new Map();
+    document.querySelectorAll('.skill-tag').forEach(tag => {
+        const label = tag.textContent.trim();
+        if (!skills.has(label)) skills.set(label, tag);
+    });
+    skills.forEach((tag, label) => {
+        commands.push({ group: 'skill', label, run: () => showSkill(tag) });
+    });
+
+    const nextTheme = resolveTheme(themeMode) === 'dark' ? 'light' : 'dark';
+    commands.push({
+        group: 'action',
+        label: t('palette.actions.theme', { theme: t(`theme.${nextTheme}`) }),
+        keywords: `${t('theme.label')} dark light`,
+        run: () => setTheme(nextTheme)
+    });
+    Object.keys(LOCALES).filter(code => code !== currentLocale).forEach(code => {
+        commands.push({
+            group: 'action',
+            label: t('palette.actions.language', { language: LOCALES[code].name }),
+            keywords: `${t('settings.language')} language`,
+            run: () => setLanguage(code)
+        });
+    });
+    commands.push(
+        { group: 'action', label: t('palette.actions.copyEmail'), keywords: 'email mail', run: copyEmailAddress },
+        { group: 'action', label: t('contact.share.save'), keywords: 'vcard contact vcf', run: downloadVCard },
+        { group: 'action', label: t('cv.download'), keywords: 'cv pdf', run: exportCv },
+        { group: 'action', label: t('a11y.backToTop'), keywords: 'top', run: scrollToTop },
+        { group: 'action', label: t('shortcuts.title'), keywords: '? help', run: openShortcutHelp }
+    );
+
+    return commands;
+}
+
+/**
+ * Skill command: bring the tag into view and open its explorer
+ */
+function showSkill(tag) {
+    tag.scrollIntoView({ behavior: scrollBehavior(), block: 'center' });
+    if (tag.matches('button')) {
+        if (tag.getAttribute('aria-pressed') !== 'true') toggleSkill(tag);
+    } else {
+        tag.setAttribute('tabindex', '-1');
+    }
+    tag.focus({ preventScroll: true });
+}
+
+/**
+ * Label with the matched characters wrapped in <mark>
+ */
+function renderCommandLabel(label, indices) {
+    const element = createElement('span', 'command-label');
+    const matched = new Set(indices);
+    let run = '';
+    let runMarked = false;
+    const flush = () => {
+        if (!run) return;
+        element.appendChild(runMarked ? createElement('mark', null, run) : document.createTextNode(run));
+        run = '';
+    };
+
+    Array.from(label).forEach((char, index) => {
+        const isMarked = matched.has(index);
+        if (isMarked !== runMarked) {
+            flush();
+            runMarked = isMarked;
+        }
+        run += char;
+    });
+    flush();
+    return element;
+}
+
+/**
+ * Filter and rank the commands for the current query
+ */
+function updatePaletteResults() {
+    const query = paletteInput.value.trim();
+
+    paletteResults = paletteCommands
+        .map((command, order) => {
+            const labelMatch = fuzzyMatch(query, command.label);
+            const keywordMatch = !labelMatch && command.keywords ? fuzzyMatch(query, command.keywords) : null;
+            if (!labelMatch && !keywordMatch) return null;
+            return labelMatch
+                ? { command, order, score: labelMatch.score, indices: labelMatch.indices }
+                : { command, order, score: keywordMatch.score / 2, indices: [] };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, MAX_COMMAND_RESULTS);
+
+    paletteList.replaceChildren(...paletteResults.map(({ command, indices }, index) => {
+        const option = createElement('li', 'command-option');
+        option.id = `command-option-${index}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+        option.appendChild(renderCommandLabel(command.label, indices));
+        option.appendChild(createElement('span', 'command-group', t(`palette.groups.${command.group}`)));
+        return option;
+    }));
+
+    paletteInput.setAttribute('aria-expanded', String(paletteResults.length > 0));
+    paletteStatus.textContent = paletteResults.length
+        ? t('palette.results', { count: paletteResults.length })
+        : t('palette.empty', { query });
+    setActiveCommand(paletteResults.length ? 0 : -1);
+}
+
+function setActiveCommand(index) {
+    activeCommand = index;
+    paletteList.querySelectorAll('.command-option').forEach((option, i) => {
+        option.setAttribute('aria-selected', String(i === index));
+    });
+
+    const option = document.getElementById(`command-option-${index}`);
+    if (option) {
+        paletteInput.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+    } else {
+        paletteInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+/**
+ * Run a result: the palette closes first so the command can move focus
+ */
+function runCommand(index) {
+    const result = paletteResults[index];
+    if (!result) return;
+    closePalette();
+    result.command.run();
+}
+
+function handlePaletteKeydown(event) {
+    const count = paletteResults.length;
+    switch (event.key) {
+        case 'ArrowDown':
+            event.preventDefault();
+            if (count) setActiveCommand((activeCommand + 1) % count);
+            break;
+        case 'ArrowUp':
+            event.preventDefault();
+            if (count) setActiveCommand((activeCommand - 1 + count) % count);
+            break;
+        case 'PageDown':
+            event.preventDefault();
+            if (count) setActiveCommand(Math.min(activeCommand + 10, count - 1));
+            break;
+        case 'PageUp':
+            event.preventDefault();
+            if (count) setActiveCommand(Math.max(activeCommand - 10, 0));
+            break;
+        case 'Enter':
+            event.preventDefault();
+            runCommand(activeCommand);
+            break;
+        case 'Escape':
+            event.preventDefault();
+            closePalette();
+            break;
+        case 'Tab':
+            // The input is the dialog's only tab stop
+            event.preventDefault();
+            break;
+    }
+}
+
+function isPaletteOpen() {
+    return Boolean(palette) && !palette.hidden;
+}
+
+function openPalette() {
+    if (!palette || isPaletteOpen()) return;
+    closeMobileMenu();
+    closeShortcutHelp({ returnFocus: false });
+
+    focusBeforeDialog = focusBeforeDialog || document.activeElement;
+    paletteCommands = getPaletteCommands();
+    paletteInput.value = '';
+    palette.hidden = false;
+    setBackgroundInert(true, palette);
+    updatePaletteResults();
+    paletteInput.focus();
+}
+
+function closePalette({ returnFocus = true } = {}) {
+    if (!isPaletteOpen()) return;
+    palette.hidden = true;
+    setBackgroundInert(false);
+    paletteList.replaceChildren();
+    paletteInput.removeAttribute('aria-activedescendant');
+    restoreDialogFocus(returnFocus);
+}
+
+function restoreDialogFocus(returnFocus) {
+    if (returnFocus && focusBeforeDialog && document.contains(focusBeforeDialog)) {
+        focusBeforeDialog.focus({ preventScroll: true });
+    }
+    focusBeforeDialog = null;
+}
+
+function isShortcutHelpOpen() {
+    return Boolean(shortcutHelp) && !shortcutHelp.hidden;
+}
+
+function openShortcutHelp() {
+    if (!shortcutHelp || isShortcutHelpOpen()) return;
+    closeMobileMenu();
+
+    focusBeforeDialog = focusBeforeDialog || document.activeElement;
+    shortcutHelp.hidden = false;
+    setBackgroundInert(true, shortcutHelp);
+    shortcutHelp.querySelector('.shortcut-help-close').focus();
+}
+
+function closeShortcutHelp({ returnFocus = true } = {}) {
+    if (!isShortcutHelpOpen()) return;
+    shortcutHelp.hidden = true;
+    setBackgroundInert(false);
+    restoreDialogFocus(returnFocus);
+}
+
+/**
+ * Typing into a field must not trigger single-key shortcuts
+ */
+function isEditableTarget(target) {
+    return target instanceof Element &&
+        (target.isContentEditable || target.matches('input, textarea, select'));
+}
+
+/**
+ * Ctrl/Cmd+K toggles the palette anywhere; "?" opens the help
+ * outside of form fields
+ */
+function handleShortcutKeydown(event) {
+    if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        if (isPaletteOpen()) {
+            closePalette();
+        } else {
+            openPalette();
+        }
+        return;
+    }
+
+    if (isShortcutHelpOpen() && (event.key === 'Escape' || event.key === 'Tab')) {
+        event.preventDefault();
+        if (event.key === 'Escape') closeShortcutHelp();
+        return;
+    }
+
+    if (event.key === '?' && !event.ctrlKey && !event.metaKey && !event.altKey &&
+        !isEditableTarget(event.target) && !isPaletteOpen()) {
+        event.preventDefault();
+        openShortcutHelp();
+    }
+}
+
+function initCommandPalette() {
+    // Show the platform's modifier key in hints
+    if (/Mac|iPhone|iPad/.test(navigator.platform || '')) {
+        document.querySelectorAll('.shortcut-mod').forEach(key => { key.textContent = '⌘'; });
+    }
+
+    document.addEventListener('keydown', handleShortcutKeydown);
+
+    document.querySelectorAll('.palette-toggle').forEach(button => {
+        button.addEventListener('click', openPalette);
+    });
+
+    if (palette) {
+        paletteInput.addEventListener('input', updatePaletteResults);
+        paletteInput.addEventListener('keydown', handlePaletteKeydown);
+        paletteList.addEventListener('click', (event) => {
+            const option = event.target.closest('.command-option');
+            if (option) runCommand(Array.from(paletteList.children).indexOf(option));
+        });
+        paletteList.addEventListener('mousemove', (event) => {
+            const option = event.target.closest('.command-option');
+            const index = option ? Array.from(paletteList.children).indexOf(option) : -1;
+            if (index !== -1 && index !== activeCommand) setActiveCommand(index);
+        });
+        // Clicking the backdrop closes
+        palette.addEventListener('click', (event) => {
+            if (event.target === palette) closePalette();
+        });
+    }
+
+    if (shortcutHelp) {
+        shortcutHelp.querySelector('.shortcut-help-close').addEventListener('click', () => closeShortcutHelp());
+        shortcutHelp.addEventListener('click', (event) => {
+            if (event.target === shortcutHelp) closeShortcutHelp();
+        });
+    }
+}
+
+// ==========================================
+// Hash Router
+// ==========================================
+
+let lastRoutedHref = null;
+let scrollSaveTimer = null;
+
+/**
+ * Map a hash to what it points at: a section, a timeline tab or
+ * panel (also as "#education"), or an entry inside a panel
+ */
+function resolveRoute(hash) {
+    let id;
+    try {
+        id = decodeURIComponent(hash.replace(/^#/, ''));
+    } catch (error) {
+        return null;
+    }
+    if (!id) return null;
+
+    // Posts don't exist in the DOM until opened: #writing/<post-id>
+    const post = id.match(/^writing\/(.+)$/);
+    if (post && writingSection) {
+        return { type: 'post', id: post[1], target: writingSection };
+    }
+
+    const element = document.getElementById(id) || document.getElementById(`tab-${id}`);
+    if (!element) return null;
+
+    if (element.getAttribute('role') === 'tab') {
+        return { type: 'tab', tab: element, target: document.getElementById('timeline') };
+    }
+    if (element.getAttribute('role') === 'tabpanel') {
+        const tab = document.querySelector(`.toggle-btn[aria-controls="${element.id}"]`);
+        return { type: 'tab', tab, target: document.getElementById('timeline') };
+    }
+    if (element.closest('.timeline-item')) {
+        return { type: 'entry', id: element.id };
+    }
+    return { type: 'section', target: element };
+}
+
+/**
+ * Open, scroll to and focus whatever the hash points at.
+ * Returns false when the target doesn't exist (yet).
+ */
+function navigateToHash(hash, { behavior = scrollBehavior() } = {}) {
+    const route = resolveRoute(hash);
+    if (!route) return false;
+
+    lastRoutedHref = window.location.href;
+
+    if (route.type === 'post') {
+        openPost(route.id).then(article => {
+            (article || route.target).scrollIntoView({ behavior, block: 'start' });
+            const focusTarget = article ? article.querySelector('.post-title') : route.target;
+            focusTarget.setAttribute('tabindex', '-1');
+            focusTarget.focus({ preventScroll: true });
+        });
+        return true;
+    }
+    closePost();
+
+    if (route.type === 'entry') {
+        revealTimelineEntry(route.id, { behavior });
+        return true;
+    }
+
+    if (route.type === 'tab' && route.tab) {
+        activateTimelineTab(route.tab);
+    }
+
+    route.target.scrollIntoView({ behavior, block: 'start' });
+
+    const focusTarget = route.type === 'tab' && route.tab ? route.tab : route.target;
+    if (focusTarget !== route.tab) {
+        focusTarget.setAttribute('tabindex', '-1');
+    }
+    focusTarget.focus({ preventScroll: true });
+    return true;
+}
+
+/**
+ * Remember scroll position and open tab on the current history entry
+ */
+function saveScrollState() {
+    const activeTab = document.querySelector('.toggle-btn[aria-selected="true"]');
+    history.replaceState({
+        ...history.state,
+        scrollY: window.scrollY,
+        tab: activeTab ? activeTab.id : null
+    }, '');
+}
+
+/**
+ * Put a history entry back the way it was left
+ */
+function restoreScrollState(state) {
+    const tab = state.tab && document.getElementById(state.tab);
+    if (tab && tab.getAttribute('aria-selected') !== 'true') {
+        activateTimelineTab(tab);
+    }
+    window.scrollTo({ top: state.scrollY, behavior: 'auto' });
+}
+
+/**
+ * Back/forward: restore the saved position, or route a fresh hash
+ */
+function handlePopState(event) {
+    lastRoutedHref = window.location.href;
+
+    if (event.state && typeof event.state.scrollY === 'number') {
+        restoreScrollState(event.state);
+    } else if (window.location.hash) {
+        navigateToHash(window.location.hash, { behavior: 'auto' });
+    } else {
+        window.scrollTo({ top: 0, behavior: 'auto' });
+    }
+}
+
+/**
+ * Fallback for hash changes that didn't come with a popstate
+ */
+function handleHashChange() {
+    if (window.location.href === lastRoutedHref) return;
+    navigateToHash(window.location.hash);
+}
+
+/**
+ * In-page links: push a history entry and route instead of jumping
+ */
+function handleHashLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    const anchor = event.target.closest('a[href^="#"]');
+    if (!anchor) return;
+
+    const href = anchor.getAttribute('href');
+    if (href === '#' || !resolveRoute(href)) return;
+
+    event.preventDefault();
+
+    // Close mobile menu if open
+    closeMobileMenu();
+
+    followHash(href);
+}
+
+/**
+ * Navigate like a link click: new history entry, then route
+ */
+function followHash(hash) {
+    saveScrollState();
+    if (hash !== window.location.hash) {
+        history.pushState(null, '', hash);
+    }
+    return navigateToHash(hash);
+}
+
+function initRouter() {
+    // Positions are restored by hand once the timeline has rendered
+    if ('scrollRestoration' in history) {
+        history.scrollRestoration = 'manual';
+    }
+
+    document.addEventListener('click', handleHashLinkClick);
+    window.addEventListener('popstate', handlePopState);
+    window.addEventListener('hashchange', handleHashChange);
+
+    onScrollFrame(() => {
+        clearTimeout(scrollSaveTimer);
+        scrollSaveTimer = setTimeout(saveScrollState, 200);
+    });
+
+    // Reload or return from another page: restore where the visitor was.
+    // Entries only exist after the first render, so retry then (after
+    // the filters have re-ordered them, which would drop focus).
+    const state = history.state;
+    const restoreInitial = () => {
+        if (state && typeof state.scrollY === 'number') {
+            restoreScrollState(state);
+            return true;
+        }
+        return Boolean(window.location.hash) &&
+            navigateToHash(window.location.hash, { behavior: 'auto' });
+    };
+
+    if (!restoreInitial() || document.querySelector('[data-resume-section]:empty')) {
+        document.addEventListener('timelinerender', () => setTimeout(restoreInitial, 0), { once: true });
+    }
+}
+
+// ==========================================
+// Contact Form
+// ==========================================
+
+const contactForm = document.getElementById('contact-form');
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OUTBOX_DB = 'portfolio';
+const OUTBOX_STORE = 'contact-outbox';
+let outboxFlush = null;
+
+/**
+ * Submit backends. Network backends can queue while offline;
+ * mailto hands the message to the visitor's mail app instead.
+ */
+const CONTACT_BACKENDS = {
+    formspree: {
+        queueable: true,
+        send(message, config) {
+            return postJson(config.endpoint, {
+                name: message.name,
+                email: message.email,
+                message: message.message,
+                _replyto: message.email,
+                _subject: t('contactForm.mailSubject', { name: message.name })
+            });
+        }
+    },
+    webhook: {
+        queueable: true,
+        send(message, config) {
+            return postJson(config.endpoint, { type: 'contact', ...message });
+        }
+    },
+    mailto: {
+        queueable: false,
+        send(message, config) {
+            const subject = encodeURIComponent(t('contactForm.mailSubject', { name: message.name }));
+            const body = encodeURIComponent(`${message.message}\n\n${message.name} <${message.email}>`);
+            window.location.href = `mailto:${config.mailto}?subject=${subject}&body=${body}`;
+            return Promise.resolve();
+        }
+    }
+};
+
+/**
+ * POST JSON and reject on non-2xx responses (with the status attached)
+ */
+function postJson(endpoint, payload) {
+    return fetch(endpoint, {
+        method: 'POST',
+        headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    }).then(response => {
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    });
+}
+
+/**
+ * Backend configuration from the form's data attributes; a network
+ * backend without an endpoint falls back to mailto
+ */
+function getContactConfig() {
+    const config = {
+        backend: contactForm.dataset.backend || 'mailto',
+        endpoint: contactForm.dataset.endpoint || '',
+        mailto: contactForm.dataset.mailto || 'martin@forstner.dev'
+    };
+    if (!CONTACT_BACKENDS[config.backend] || (config.backend !== 'mailto' && !config.endpoint)) {
+        config.backend = 'mailto';
+    }
+    return config;
+}
+
+/**
+ * fetch() rejects with a TypeError when the network is unreachable
+ */
+function isNetworkError(error) {
+    return !navigator.onLine || error instanceof TypeError;
+}
+
+// --- Offline outbox (IndexedDB) ---
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(OUTBOX_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the outbox store and resolve with its result
+ */
+function outboxRequest(mode, run) {
+    return openOutbox().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = run(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+function queueContactMessage(message) {
+    return outboxRequest('readwrite', store => store.add({ ...message, queuedAt: Date.now() }));
+}
+
+/**
+ * Send queued messages in order; stop at the first network failure
+ */
+async function sendQueuedMessages() {
+    if (!contactForm || !navigator.onLine) return;
+
+    let queued;
+    try {
+        queued = await outboxRequest('readonly', store => store.getAll());
+    } catch (error) {
+        return;
+    }
+    if (!queued || !queued.length) return;
+
+    const config = getContactConfig();
+    const backend = CONTACT_BACKENDS[config.backend];
+    if (!backend.queueable) return;
+
+    let sent = 0;
+    for (const message of queued) {
+        try {
+            await backend.send(message, config);
+            await outboxRequest('readwrite', store => store.delete(message.id));
+            sent++;
+        } catch (error) {
+            if (isNetworkError(error)) break;
+            // Rejected by the backend: drop it rather than retry forever
+            console.warn('Dropping queued contact message:', error);
+            await outboxRequest('readwrite', store => store.delete(message.id))
+                .catch(deleteError => console.warn('Could not drop the queued message:', deleteError));
+        }
+    }
+
+    if (sent) {
+        setContactStatus('contactForm.status.flushed', 'success', { count: sent });
+    }
+}
+
+/**
+ * One flush at a time: a call while one runs (e.g. "online" during the
+ * flush on load) gets the running one, so no message is sent twice
+ */
+function flushContactOutbox() {
+    if (!outboxFlush) {
+        outboxFlush = sendQueuedMessages().finally(() => {
+            outboxFlush = null;
+        });
+    }
+    return outboxFlush;
+}
+
+// --- Validation & status ---
+
+/**
+ * Error message key (and params) for a field, or null when valid
+ */
+function getFieldError(field) {
+    const value = field.value.trim();
+
+    if (field.required && !value) {
+        return { key: 'contactForm.errors.required' };
+    }
+    if (field.type === 'email' && value && !EMAIL_PATTERN.test(value)) {
+        return { key: 'contactForm.errors.email' };
+    }
+    if (field.minLength > 0 && value && value.length < field.minLength) {
+        return { key: 'contactForm.errors.tooShort', params: { count: field.minLength } };
+    }
+    if (field.maxLength > 0 && value.length > field.maxLength) {
+        return { key: 'contactForm.errors.tooLong', params: { count: field.maxLength } };
+    }
+    return null;
+}
+
+/**
+ * Show or clear a field's inline error. The message is stored as an
+ * i18n key so a language switch re-translates it.
+ */
+function validateField(field) {
+    const error = getFieldError(field);
+    const errorElement = document.getElementById(`${field.id}-error`);
+
+    field.setAttribute('aria-invalid', String(Boolean(error)));
+    if (errorElement) {
+        if (error) {
+            errorElement.dataset.i18n = error.key;
+            errorElement.dataset.i18nParams = JSON.stringify(error.params || {});
+            errorElement.textContent = t(error.key, error.params);
+        } else {
+            delete errorElement.dataset.i18n;
+            delete errorElement.dataset.i18nParams;
+            errorElement.textContent = '';
+        }
+        errorElement.hidden = !error;
+    }
+    return !error;
+}
+
+/**
+ * Validate all visible fields; focus the first invalid one
+ */
+function validateContactForm() {
+    const fields = Array.from(contactForm.querySelectorAll('input[required], textarea[required]'));
+    const invalid = fields.filter(field => !validateField(field));
+
+    if (invalid.length) {
+        invalid[0].focus();
+        setContactStatus('contactForm.status.invalid', 'error', { count: invalid.length });
+    }
+    return invalid.length === 0;
+}
+
+function setContactStatus(key, type, params) {
+    const status = contactForm.querySelector('.form-status');
+    status.dataset.i18n = key;
+    status.dataset.i18nParams = JSON.stringify(params || {});
+    status.dataset.state = type;
+    status.textContent = t(key, params);
+}
+
+function updateMessageCounter() {
+    const textarea = contactForm.elements.message;
+    const counter = document.getElementById('contact-message-count');
+    if (!counter) return;
+
+    const params = { count: textarea.value.length, max: textarea.maxLength };
+    counter.dataset.i18n = 'contactForm.counter';
+    counter.dataset.i18nParams = JSON.stringify(params);
+    counter.textContent = t('contactForm.counter', params);
+}
+
+function setContactBusy(isBusy) {
+    const submit = contactForm.querySelector('.form-submit');
+    submit.disabled = isBusy;
+    submit.dataset.i18n = isBusy ? 'contactForm.sending' : 'contactForm.submit';
+    submit.textContent = t(submit.dataset.i18n);
+    contactForm.setAttribute('aria-busy', String(isBusy));
+}
+
+/**
+ * Validate, then send through the configured backend or queue offline
+ */
+async function handleContactSubmit(event) {
+    event.preventDefault();
+    if (!validateContactForm()) return;
+
+    const fields = contactForm.elements;
+
+    // Bots fill the honeypot; pretend everything went fine
+    if (fields.website.value) {
+        contactForm.reset();
+        setContactStatus('contactForm.status.success', 'success');
+        return;
+    }
+
+    const message = {
+        name: fields.name.value.trim(),
+        email: fields.email.value.trim(),
+        message: fields.message.value.trim(),
+        locale: currentLocale,
+        page: window.location.href,
+        sentAt: new Date().toISOString()
+    };
+    const config = getContactConfig();
+    const backend = CONTACT_BACKENDS[config.backend];
+
+    setContactBusy(true);
+    try {
+        if (backend.queueable && !navigator.onLine) {
+            throw new TypeError('Offline');
+        }
+        await backend.send(message, config);
+        contactForm.reset();
+        setContactStatus(config.backend === 'mailto' ? 'contactForm.status.mailto' : 'contactForm.status.success', 'success');
+    } catch (error) {
+        if (backend.queueable && isNetworkError(error)) {
+            try {
+                await queueContactMessage(message);
+                contactForm.reset();
+                setContactStatus('contactForm.status.queued', 'info');
+            } catch (queueError) {
+                console.warn('Could not queue contact message:', queueError);
+                setContactStatus('contactForm.status.error', 'error');
+            }
+        } else {
+            console.warn('Contact form submission failed:', error);
+            setContactStatus('contactForm.status.error', 'error');
+        }
+    } finally {
+        setContactBusy(false);
+        updateMessageCounter();
+    }
+}
+
+function initContactForm() {
+    if (!contactForm) return;
+
+    contactForm.addEventListener('submit', handleContactSubmit);
+
+    // Validate on leaving a field, then live once it has been flagged
+    contactForm.querySelectorAll('input[required], textarea[required]').forEach(field => {
+        field.addEventListener('blur', () => {
+            if (field.value) validateField(field);
+        });
+        field.addEventListener('input', () => {
+            if (field.getAttribute('aria-invalid') === 'true') validateField(field);
+        });
+    });
+
+    contactForm.elements.message.addEventListener('input', updateMessageCounter);
+    updateMessageCounter();
+
+    window.addEventListener('online', flushContactOutbox);
+    flushContactOutbox();
+}
+
+// ==========================================
+// QR Code (self-contained encoder)
+// ==========================================
+
+// Byte-mode QR Code, versions 1-40. Follows ISO/IEC 18004; the
+// tables are indexed [error correction level][version].
+const QR_ECC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const QR_ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+function getQrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getQrDataCodewords(version, ecc) {
+    return Math.floor(getQrRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version] * QR_ECC_BLOCKS[ecc.ordinal][version];
+}
+
+/**
+ * Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function multiplyGf(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function getReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = multiplyGf(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = multiplyGf(root, 0x02);
+    }
+    return result;
+}
+
+function getReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= multiplyGf(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * Split data into blocks, add error correction, interleave
+ */
+function addQrErrorCorrection(data, version, ecc) {
+    const numBlocks = QR_ECC_BLOCKS[ecc.ordinal][version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version];
+    const rawCodewords = Math.floor(getQrRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = getReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const dataLength = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+        const block = data.slice(k, k + dataLength);
+        k += dataLength;
+        const ecBytes = getReedSolomonRemainder(block, divisor);
+        // Short blocks get a placeholder so columns line up
+        if (i < numShortBlocks) block.push(0);
+        blocks.push(block.concat(ecBytes));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+function getQrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+/**
+ * Module grid with the function patterns; `reserved` marks cells
+ * that data and masks must not touch
+ */
+function createQrGrid(version) {
+    const size = version * 4 + 17;
+    const grid = {
+        size,
+        modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+        reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+    const set = (x, y, dark) => {
+        grid.modules[y][x] = dark;
+        grid.reserved[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    const alignments = getQrAlignmentPositions(version);
+    const last = alignments.length - 1;
+    alignments.forEach((cx, i) => {
+        alignments.forEach((cy, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Format areas are reserved now and written per mask later
+    drawQrFormatBits(grid, QR_ECC_LEVELS.L, 0, set);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = version << 12 | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+    return grid;
+}
+
+function drawQrFormatBits(grid, ecc, mask, set) {
+    const data = ecc.formatBits << 3 | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = (data << 10 | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+    const { size } = grid;
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+}
+
+/**
+ * Place codewords in the zigzag order, skipping reserved cells
+ */
+function drawQrCodewords(grid, codewords) {
+    const { size, modules, reserved } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!reserved[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyQrMask(grid, mask) {
+    const test = QR_MASKS[mask];
+    for (let y = 0; y < grid.size; y++) {
+        for (let x = 0; x < grid.size; x++) {
+            if (!grid.reserved[y][x] && test(x, y)) {
+                grid.modules[y][x] = !grid.modules[y][x];
+            }
+        }
+    }
+}
+
+/**
+ * Penalty score from the spec: runs, 2x2 blocks, finder-like
+ * patterns and dark/light balance. Lowest wins.
+ */
+function getQrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    const finderLike = [true, false, true, true, true, false, true];
+
+    const scoreLine = (line) => {
+        let run = 1;
+        for (let i = 1; i <= line.length; i++) {
+            if (i < line.length && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+        }
+        // 1:1:3:1:1 with four light modules on either side
+        for (let i = 0; i + 7 <= line.length; i++) {
+            if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+            const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !line[i - k]);
+            const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= line.length || !line[i + 7 + k]);
+            if (lightBefore) penalty += 40;
+            if (lightAfter) penalty += 40;
+        }
+    };
+
+    for (let y = 0; y < size; y++) scoreLine(modules[y]);
+    for (let x = 0; x < size; x++) scoreLine(modules.map(row => row[x]));
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
+
+/**
+ * Encode text (UTF-8, byte mode) into the smallest version that
+ * fits. Returns the module matrix, true = dark.
+ */
+function encodeQr(text, { ecc: level = 'M', mask: forcedMask = null } = {}) {
+    const ecc = QR_ECC_LEVELS[level];
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    for (; version <= 40; version++) {
+        const countBits = version < 10 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 <= getQrDataCodewords(version, ecc) * 8 &&
+            bytes.length < 2 ** countBits) break;
+    }
+    if (version > 40) {
+        throw new RangeError('Text too long for a QR code');
+    }
+
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = getQrDataCodewords(version, ecc) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => byte << 1 | bit, 0));
+    }
+
+    const grid = createQrGrid(version);
+    drawQrCodewords(grid, addQrErrorCorrection(data, version, ecc));
+    const set = (x, y, dark) => { grid.modules[y][x] = dark; };
+
+    let best = forcedMask;
+    if (best === null) {
+        let lowest = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyQrMask(grid, mask);
+            drawQrFormatBits(grid, ecc, mask, set);
+            const penalty = getQrPenalty(grid.modules);
+            if (penalty < lowest) {
+                lowest = penalty;
+                best = mask;
+            }
+            applyQrMask(grid, mask); // XOR again to undo
+        }
+    }
+    applyQrMask(grid, best);
+    drawQrFormatBits(grid, ecc, best, set);
+
+    return grid.modules;
+}
+
+/**
+ * QR matrix as an SVG: one path, quiet zone included. Colors are
+ * fixed dark-on-light so scanners read it in either theme.
+ */
+function renderQrSvg(modules, { border = 4 } = {}) {
+    const size = modules.length + border * 2;
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+
+    const background = svg.appendChild(document.createElementNS(svgNs, 'rect'));
+    background.setAttribute('width', size);
+    background.setAttribute('height', size);
+    background.setAttribute('fill', '#fff');
+
+    const path = [];
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+    }));
+    const modulesPath = svg.appendChild(document.createElementNS(svgNs, 'path'));
+    modulesPath.setAttribute('d', path.join(''));
+    modulesPath.setAttribute('fill', '#000');
+    return svg;
+}
+
+// ==========================================
+// Contact Sharing (vCard, QR code, clipboard)
+// ==========================================
+
+const contactShare = document.querySelector('.contact-share');
+const qrPanel = document.getElementById('qr-panel');
+const qrToggle = document.querySelector('.qr-toggle');
+
+/**
+ * Contact details from the page (hero, contact cards) and the
+ * current timeline role. Shared by the vCard and the JSON-LD person.
+ */
+function getContactDetails(data = {}) {
+    const name = document.getElementById('hero-title');
+    const photo = document.querySelector('.hero-image');
+    const email = document.querySelector('.contact-card[href^="mailto:"]');
+    const linkedin = document.querySelector('.contact-card[href*="linkedin.com"]');
+    const location = document.querySelector('.contact-card.location .contact-value');
+    const current = (data.work || []).find(job => !job.endDate);
+
+    // "Linz, Austria 🇦🇹" -> locality and country
+    const [locality, country] = location
+        ? location.textContent.replace(/[^\p{L}\p{N},.\s-]/gu, '').split(',').map(part => part.trim())
+        : [];
+
+    return {
+        name: name ? name.textContent.trim() : '',
+        title: current ? localize(current, 'position') : '',
+        org: current ? localize(current, 'name') : '',
+        orgUrl: current ? current.url : undefined,
+        email: email ? email.getAttribute('href').replace(/^mailto:/, '').split('?')[0] : '',
+        linkedin: linkedin ? linkedin.href : '',
+        locality,
+        country,
+        // Largest candidate for search engines, the small one for contact cards
+        photo: photo ? absoluteUrl(getLargestImageSource(photo)) : '',
+        thumbnail: photo ? absoluteUrl(photo.getAttribute('src')) : '',
+        url: absoluteUrl('./'),
+        pageUrl: getCanonicalUrl().href
+    };
+}
+
+/**
+ * TEXT value escaping from RFC 6350 3.4
+ */
+function escapeVCardText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Lines longer than 75 octets continue after CRLF + space, without
+ * splitting a UTF-8 sequence
+ */
+function foldVCardLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+            lines.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+}
+
+/**
+ * vCard 4.0 for the contact. `photo` is a URL or a data: URI;
+ * the QR code gets the URL to stay small.
+ */
+function buildVCard(contact, { photo = contact.thumbnail } = {}) {
+    const nameParts = contact.name.split(/\s+/);
+    const familyName = nameParts.length > 1 ? nameParts.pop() : '';
+    const rev = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        'KIND:individual',
+        `FN:${escapeVCardText(contact.name)}`,
+        `N:${escapeVCardText(familyName)};${escapeVCardText(nameParts.join(' '))};;;`,
+        contact.title && `TITLE:${escapeVCardText(contact.title)}`,
+        contact.org && `ORG:${escapeVCardText(contact.org)}`,
+        contact.email && `EMAIL;TYPE=work:${contact.email}`,
+        `URL:${contact.url}`,
+        // SOCIALPROFILE is RFC 9554; older readers keep it as an unknown property
+        contact.linkedin && `SOCIALPROFILE;SERVICE-TYPE=LinkedIn:${contact.linkedin}`,
+        contact.locality && `ADR;TYPE=work:;;;${escapeVCardText(contact.locality)};;;${escapeVCardText(contact.country || '')}`,
+        photo && `PHOTO:${photo}`,
+        `LANG:${currentLocale}`,
+        `REV:${rev}`,
+        'END:VCARD'
+    ];
+    return lines.filter(Boolean).map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Inline the photo so the contact keeps it offline; the URL is the
+ * fallback when it can't be fetched
+ */
+async function fetchPhotoDataUri(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function getVCardFileName(name) {
+    const slug = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'contact'}.vcf`;
+}
+
+async function downloadVCard() {
+    const data = await loadResume().catch(() => ({}));
+    const contact = getContactDetails(data);
+    const photo = contact.thumbnail
+        ? await fetchPhotoDataUri(contact.thumbnail).catch(() => contact.thumbnail)
+        : '';
+
+    const blob = new Blob([buildVCard(contact, { photo })], { type: 'text/vcard;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = createElement('a');
+    link.href = url;
+    link.download = getVCardFileName(contact.name);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    showToast('toast.contactSaved');
+}
+
+function copyEmailAddress() {
+    const { email } = getContactDetails();
+    if (!email) return Promise.resolve();
+
+    if (!navigator.clipboard) {
+        showToast('toast.copyFailed', { email });
+        return Promise.resolve();
+    }
+    return navigator.clipboard.writeText(email)
+        .then(() => showToast('toast.emailCopied', { email }))
+        .catch(() => showToast('toast.copyFailed', { email }));
+}
+
+/**
+ * Draw the QR code for the selected content: the contact card or
+ * the page URL in the current language
+ */
+async function renderContactQr() {
+    if (!qrPanel) return;
+    const choice = qrPanel.querySelector('input[name="qr-content"]:checked');
+    const content = choice ? choice.value : 'vcard';
+    const data = content === 'vcard' ? await loadResume().catch(() => ({})) : {};
+    const contact = getContactDetails(data);
+
+    const text = content === 'vcard' ? buildVCard(contact) : contact.pageUrl;
+    const svg = renderQrSvg(encodeQr(text));
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', content === 'vcard'
+        ? t('qr.label.vcard', { name: contact.name })
+        : t('qr.label.url', { url: contact.pageUrl }));
+
+    qrPanel.querySelector('.qr-code').replaceChildren(svg);
+    const caption = qrPanel.querySelector('.qr-caption');
+    caption.dataset.i18n = `qr.caption.${content}`;
+    caption.textContent = t(caption.dataset.i18n);
+}
+
+function setQrPanelOpen(open) {
+    if (!qrPanel || !qrToggle) return;
+    qrPanel.hidden = !open;
+    qrToggle.setAttribute('aria-expanded', String(open));
+    const label = qrToggle.querySelector('[data-i18n]');
+    label.dataset.i18n = open ? 'contact.share.hideQr' : 'contact.share.showQr';
+    label.textContent = t(label.dataset.i18n);
+    if (open) renderContactQr();
+}
+
+function initContactShare() {
+    if (!contactShare) return;
+
+    contactShare.querySelector('.vcard-download').addEventListener('click', downloadVCard);
+    contactShare.querySelector('.email-copy').addEventListener('click', copyEmailAddress);
+
+    if (qrToggle && qrPanel) {
+        qrToggle.addEventListener('click', () => setQrPanelOpen(qrPanel.hidden));
+        qrPanel.addEventListener('change', (event) => {
+            if (event.target.name === 'qr-content') renderContactQr();
+        });
+        // Title and page URL follow the language
+        document.addEventListener('languagechange', () => {
+            if (!qrPanel.hidden) renderContactQr();
+        });
+    }
+}
+
+// ==========================================
+// Toast
+// ==========================================
+
+const toast = document.querySelector('.toast');
+const TOAST_DURATION = 4000;
+let toastTimer = null;
+
+/**
+ * Short confirmation for actions that don't move focus. Keeps the
+ * key on the element so a language switch retranslates it.
+ */
+function showToast(key, params = {}) {
+    if (!toast) return;
+    clearTimeout(toastTimer);
+    toast.dataset.i18n = key;
+    toast.dataset.i18nParams = JSON.stringify(params);
+    toast.textContent = '';
+    toast.classList.add('is-visible');
+    // A fresh text node makes repeated messages announce again
+    requestAnimationFrame(() => { toast.textContent = t(key, params); });
+    toastTimer = setTimeout(hideToast, TOAST_DURATION);
+}
+
+function hideToast() {
+    if (!toast) return;
+    clearTimeout(toastTimer);
+    toast.classList.remove('is-visible');
+}
+
+// ==========================================
+// CV Export (print.css)
+// ==========================================
+
+let titleBeforePrint = null;
+
+/**
+ * Get the page into its final state before printing: all content
+ * revealed, counters settled, no cursor effects, a CV file name.
+ * Runs for the "Download CV" button and the browser's print alike.
+ */
+function prepareCvPrint() {
+    if (titleBeforePrint === null) {
+        titleBeforePrint = document.title;
+    }
+    document.title = t('cv.fileName');
+
+    settleAnimations();
+
+    // Panel headings for the expanded timeline come from the tab labels
+    timelineTabButtons.forEach(tab => {
+        const panel = document.getElementById(tab.getAttribute('aria-controls'));
+        if (panel) {
+            panel.dataset.printTitle = tab.textContent.trim();
+        }
+    });
+}
+
+/**
+ * Undo the print-only changes
+ */
+function restoreAfterPrint() {
+    if (titleBeforePrint !== null) {
+        document.title = titleBeforePrint;
+        titleBeforePrint = null;
+    }
+}
+
+/**
+ * "Download CV": the print dialog offers "Save as PDF"
+ */
+function exportCv() {
+    prepareCvPrint();
+    window.print();
+}
+
+function initCvExport() {
+    document.querySelectorAll('.cv-download').forEach(button => {
+        button.addEventListener('click', exportCv);
+    });
+    window.addEventListener('beforeprint', prepareCvPrint);
+    window.addEventListener('afterprint', restoreAfterPrint);
+}
+
+// ==========================================
+// Analytics (first-party, opt-in)
+// ==========================================
+
+const CONSENT_KEY = 'analyticsConsent';
+const ANALYTICS_DEBUG_KEY = 'analyticsDebug';
+const MAX_QUEUED_EVENTS = 100;
+const consentBanner = document.querySelector('.consent-banner');
+const analytics = {
+    endpoint: '',
+    batchSize: 10,
+    flushInterval: 10000,
+    debug: false,
+    queue: [],
+    timer: null,
+    seenSections: new Set(),
+    pageViewSent: false,
+    languageReady: false,
+    lastLanguage: null,
+    lastThemeMode: null
+};
+
+/**
+ * Endpoint and batching from the banner's data attributes; debug
+ * mode via ?analytics=debug (remembered) or localStorage
+ */
+function getAnalyticsConfig() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('analytics') === 'debug') {
+        localStorage.setItem(ANALYTICS_DEBUG_KEY, '1');
+    } else if (params.get('analytics') === 'off') {
+        localStorage.removeItem(ANALYTICS_DEBUG_KEY);
+    }
+
+    const data = consentBanner ? consentBanner.dataset : {};
+    return {
+        endpoint: (data.endpoint || '').trim(),
+        batchSize: parseInt(data.batchSize, 10) || analytics.batchSize,
+        flushInterval: parseInt(data.flushInterval, 10) || analytics.flushInterval,
+        debug: localStorage.getItem(ANALYTICS_DEBUG_KEY) === '1'
+    };
+}
+
+/**
+ * Do Not Track and Global Privacy Control both mean "never ask"
+ */
+function isDoNotTrackEnabled() {
+    const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * Nowhere to send and nothing to log: the module stays dormant
+ */
+function isAnalyticsAvailable() {
+    return Boolean(analytics.endpoint || analytics.debug) && !isDoNotTrackEnabled();
+}
+
+function getConsent() {
+    const consent = localStorage.getItem(CONSENT_KEY);
+    return consent === 'granted' || consent === 'denied' ? consent : null;
+}
+
+function hasAnalyticsConsent() {
+    return isAnalyticsAvailable() && getConsent() === 'granted';
+}
+
+/**
+ * Queue an event. Nothing is recorded, not even in memory, without
+ * consent. Events carry no identifiers: type, time, page, language.
+ */
+function trackEvent(type, props = {}) {
+    if (!hasAnalyticsConsent()) return;
+
+    const event = {
+        type,
+        ts: new Date().toISOString(),
+        path: window.location.pathname,
+        lang: currentLocale,
+        ...props
+    };
+    analytics.queue.push(event);
+    if (analytics.queue.length > MAX_QUEUED_EVENTS) {
+        analytics.queue.splice(0, analytics.queue.length - MAX_QUEUED_EVENTS);
+    }
+    if (analytics.debug) {
+        console.info('[analytics]', type, event);
+    }
+
+    if (analytics.queue.length >= analytics.batchSize) {
+        flushAnalytics();
+    } else if (!analytics.timer) {
+        analytics.timer = setTimeout(flushAnalytics, analytics.flushInterval);
+    }
+}
+
+/**
+ * Send the queued events as one beacon. A refused beacon keeps the
+ * batch for the next attempt.
+ */
+function flushAnalytics() {
+    clearTimeout(analytics.timer);
+    analytics.timer = null;
+    if (!analytics.queue.length) return;
+
+    const events = analytics.queue.splice(0);
+    if (analytics.debug) {
+        console.info(`[analytics] batch of ${events.length} (debug: not sent)`, events);
+        return;
+    }
+
+    const body = JSON.stringify({ events });
+    let sent = false;
+    if (navigator.sendBeacon) {
+        sent = navigator.sendBeacon(analytics.endpoint, new Blob([body], { type: 'application/json' }));
+    } else if (window.fetch) {
+        fetch(analytics.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {});
+        sent = true;
+    }
+    if (!sent) {
+        analytics.queue.unshift(...events);
+    }
+}
+
+/**
+ * One page view per load, once the language is known
+ */
+function trackPageView() {
+    if (analytics.pageViewSent || !analytics.languageReady || !hasAnalyticsConsent()) return;
+    analytics.pageViewSent = true;
+    trackEvent('pageview', { theme: themeMode, referrer: getReferrerHost() });
+}
+
+/**
+ * Only the referring site, never the full URL
+ */
+function getReferrerHost() {
+    try {
+        const host = document.referrer ? new URL(document.referrer).hostname : '';
+        return host && host !== window.location.hostname ? host : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * The imprint's privacy note describes the current choice
+ */
+function renderAnalyticsPrivacy() {
+    const note = document.querySelector('.analytics-privacy');
+    if (!note) return;
+
+    const dnt = isDoNotTrackEnabled();
+    note.hidden = !(analytics.endpoint || analytics.debug);
+    const text = note.querySelector('.analytics-privacy-text');
+    text.dataset.i18n = dnt ? 'analytics.privacy.dnt' : `analytics.privacy.${getConsent() || 'unset'}`;
+    text.textContent = t(text.dataset.i18n);
+    note.querySelector('.analytics-settings').hidden = dnt;
+}
+
+function showConsentBanner() {
+    if (!consentBanner || !isAnalyticsAvailable()) return;
+    consentBanner.hidden = false;
+}
+
+/**
+ * Store the visitor's choice; withdrawing drops anything queued
+ */
+function setAnalyticsConsent(consent) {
+    localStorage.setItem(CONSENT_KEY, consent);
+    if (consentBanner) consentBanner.hidden = true;
+
+    if (consent === 'granted') {
+        trackPageView();
+    } else {
+        clearTimeout(analytics.timer);
+        analytics.timer = null;
+        analytics.queue = [];
+    }
+    renderAnalyticsPrivacy();
+}
+
+/**
+ * "email", "linkedin" or the host a contact card points to
+ */
+function getContactCardName(card) {
+    const href = card.getAttribute('href') || '';
+    if (href.startsWith('mailto:')) return 'email';
+    if (href.startsWith('tel:')) return 'phone';
+    try {
+        return new URL(href, window.location.href).hostname.replace(/^www\.|\.com$/g, '');
+    } catch (error) {
+        return 'unknown';
+    }
+}
+
+function initAnalytics() {
+    Object.assign(analytics, getAnalyticsConfig());
+    if (analytics.debug) {
+        console.info('[analytics] debug mode: events are logged, not sent. Leave with ?analytics=off');
+    }
+
+    if (consentBanner) {
+        consentBanner.querySelector('.consent-accept').addEventListener('click', () => setAnalyticsConsent('granted'));
+        consentBanner.querySelector('.consent-decline').addEventListener('click', () => setAnalyticsConsent('denied'));
+    }
+    document.querySelectorAll('.analytics-settings').forEach(button => {
+        button.addEventListener('click', showConsentBanner);
+    });
+
+    if (isAnalyticsAvailable() && !getConsent()) {
+        showConsentBanner();
+    }
+
+    // Language and theme only count when they change, not on load
+    document.addEventListener('languagechange', (event) => {
+        const { lang } = event.detail;
+        if (analytics.lastLanguage && analytics.lastLanguage !== lang) {
+            trackEvent('language_change', { from: analytics.lastLanguage, to: lang });
+        }
+        analytics.lastLanguage = lang;
+        analytics.languageReady = true;
+        renderAnalyticsPrivacy();
+        trackPageView();
+    });
+    document.addEventListener('themechange', (event) => {
+        const { mode, theme } = event.detail;
+        if (analytics.lastThemeMode && analytics.lastThemeMode !== mode) {
+            trackEvent('theme_change', { mode, theme });
+        }
+        analytics.lastThemeMode = mode;
+    });
+
+    document.addEventListener('sectionvisible', (event) => {
+        const { id } = event.detail;
+        if (analytics.seenSections.has(id) || !hasAnalyticsConsent()) return;
+        analytics.seenSections.add(id);
+        trackEvent('section_view', { section: id });
+    });
+    document.addEventListener('timelinetabchange', (event) => {
+        trackEvent('tab_switch', { tab: event.detail.tab });
+    });
+    document.addEventListener('click', (event) => {
+        const card = event.target.closest('.contact-card[href]');
+        if (card) trackEvent('contact_click', { card: getContactCardName(card) });
+        const action = event.target.closest('[data-contact-action]');
+        if (action) trackEvent('contact_click', { card: action.dataset.contactAction });
+    });
+
+    // Last chance to send before the page goes away
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAnalytics();
+    });
+    window.addEventListener('pagehide', flushAnalytics);
+}
+
+// ==========================================
+// Offline Support (sw.js)
+// ==========================================
+
+const updateNotice = document.querySelector('.update-notice');
+let waitingWorker = null;
+let reloadRequested = false;
+
+/**
+ * Offer the waiting worker to the visitor instead of swapping it in
+ * mid-visit
+ */
+function showUpdateNotice(worker) {
+    waitingWorker = worker;
+    if (updateNotice) {
+        updateNotice.hidden = false;
+    }
+}
+
+function hideUpdateNotice() {
+    if (updateNotice) {
+        updateNotice.hidden = true;
+    }
+}
+
+/**
+ * Activate the new worker; the page reloads on controllerchange
+ */
+function applyUpdate() {
+    hideUpdateNotice();
+    if (!waitingWorker) {
+        window.location.reload();
+        return;
+    }
+    reloadRequested = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Watch a registration for a new worker finishing its install
+ */
+function trackServiceWorkerUpdates(registration) {
+    // Only an update if a worker already controls the page
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateNotice(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateNotice(worker);
+            }
+        });
+    });
+}
+
+function initServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    if (updateNotice) {
+        updateNotice.querySelector('.update-notice-reload').addEventListener('click', applyUpdate);
+        updateNotice.querySelector('.update-notice-dismiss').addEventListener('click', hideUpdateNotice);
+    }
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadRequested) {
+            window.location.reload();
+        }
+    });
+
+    const register = () => {
+        navigator.serviceWorker.register('sw.js')
+            .then(trackServiceWorkerUpdates)
+            .catch(error => console.warn('Service worker registration failed:', error));
+    };
+
+    // Keep registration and precaching out of the way of first render
+    if (document.readyState === 'complete') {
+        register();
+    } else {
+        window.addEventListener('load', register, { once: true });
+    }
+}
+
+// ==========================================
+// Images
+// ==========================================
+
+/**
+ * "Martin Forstner" -> "MF"
+ */
+function getInitials(name) {
+    return name.split(/\s+/).filter(Boolean).slice(0, 2)
+        .map(part => part.charAt(0).toUpperCase()).join('');
+}
+
+/**
+ * Replace a broken image with initials (frames with a
+ * data-fallback-name) or its alt text
+ */
+function renderImageFallback(frame, img) {
+    if (frame.querySelector('.image-fallback')) return;
+
+    const name = frame.dataset.fallbackName;
+    const fallback = createElement('span', 'image-fallback', name ? getInitials(name) : img.alt);
+    if (name) {
+        // Label follows the language toggle like any other translated attribute
+        fallback.setAttribute('role', 'img');
+        fallback.dataset.i18nAttr = 'aria-label:image.fallbackAlt';
+        fallback.dataset.i18nParams = JSON.stringify({ name });
+        fallback.setAttribute('aria-label', t('image.fallbackAlt', { name }));
+    }
+    img.hidden = true;
+    frame.insertBefore(fallback, img);
+}
+
+function setImageState(frame, img, state) {
+    img.dataset.imageState = state;
+    if (state === 'error') {
+        renderImageFallback(frame, img);
+    }
+}
+
+/**
+ * Track load state for an .image-frame. The head script records
+ * events from before this ran; complete/naturalWidth covers the rest.
+ */
+function enhanceImage(frame) {
+    const img = frame.querySelector('img');
+    if (!img || frame.dataset.imageReady) return;
+    frame.dataset.imageReady = 'true';
+
+    img.addEventListener('load', () => setImageState(frame, img, 'loaded'));
+    img.addEventListener('error', () => setImageState(frame, img, 'error'));
+
+    if (img.dataset.imageState) {
+        setImageState(frame, img, img.dataset.imageState);
+    } else if (img.complete && img.getAttribute('src')) {
+        setImageState(frame, img, img.naturalWidth > 0 ? 'loaded' : 'error');
+    }
+}
+
+/**
+ * Lazily loaded image in a frame, for content rendered at runtime
+ */
+function createImageFrame({ src, alt = '', title, lazy = true, fallbackName }) {
+    const frame = createElement('span', 'image-frame');
+    if (fallbackName) frame.dataset.fallbackName = fallbackName;
+
+    const img = frame.appendChild(createElement('img'));
+    img.loading = lazy ? 'lazy' : 'eager';
+    img.decoding = 'async';
+    img.alt = alt;
+    if (title) img.title = title;
+    enhanceImage(frame);
+    img.src = src;
+    return frame;
+}
+
+function initImages(root = document) {
+    root.querySelectorAll('.image-frame').forEach(enhanceImage);
+}
+
+// ==========================================
+// Document Metadata (title, social meta, JSON-LD)
+// ==========================================
+
+/**
+ * Create or update a <meta> in the head, e.g. ('property', 'og:title')
+ */
+function setMetaContent(attribute, key, content) {
+    let meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+    if (!meta) {
+        meta = document.createElement('meta');
+        meta.setAttribute(attribute, key);
+        document.head.appendChild(meta);
+    }
+    meta.setAttribute('content', content);
+    return meta;
+}
+
+/**
+ * "Section | Martin Forstner", or the site title without a section.
+ * Link previews generated from the live page get the same title.
+ */
+function setPageTitle(section) {
+    document.title = section ? t('meta.sectionTitle', { section }) : t('meta.title');
+    setMetaContent('property', 'og:title', document.title);
+    setMetaContent('name', 'twitter:title', document.title);
+}
+
+/**
+ * Page URL for the current language, without the hash
+ */
+function getCanonicalUrl() {
+    const url = buildLocaleUrl(currentLocale === DEFAULT_LOCALE ? null : currentLocale);
+    url.hash = '';
+    return url;
+}
+
+/**
+ * URL, canonical link and locales for the active language.
+ * Descriptions and image alt texts translate via data-i18n-attr.
+ */
+function updateSocialMeta() {
+    const url = getCanonicalUrl();
+
+    let canonical = document.head.querySelector('link[rel="canonical"]');
+    if (!canonical) {
+        canonical = document.createElement('link');
+        canonical.rel = 'canonical';
+        document.head.appendChild(canonical);
+    }
+    canonical.href = url.href;
+    setMetaContent('property', 'og:url', url.href);
+    setMetaContent('property', 'og:locale', LOCALES[currentLocale].ogLocale);
+
+    document.head.querySelectorAll('meta[property="og:locale:alternate"]').forEach(meta => meta.remove());
+    Object.keys(LOCALES).filter(code => code !== currentLocale).forEach(code => {
+        const meta = document.createElement('meta');
+        meta.setAttribute('property', 'og:locale:alternate');
+        meta.setAttribute('content', LOCALES[code].ogLocale);
+        document.head.appendChild(meta);
+    });
+}
+
+function absoluteUrl(path) {
+    return new URL(path, window.location.href).href;
+}
+
+/**
+ * Widest candidate in an <img> srcset, else its src
+ */
+function getLargestImageSource(img) {
+    const candidates = (img.getAttribute('srcset') || '').split(',')
+        .map(candidate => candidate.trim().split(/\s+/))
+        .filter(([url]) => url)
+        .sort((a, b) => (parseInt(b[1], 10) || 0) - (parseInt(a[1], 10) || 0));
+    return candidates.length ? candidates[0][0] : img.getAttribute('src');
+}
+
+/**
+ * Person from the page: hero (name, photo), timeline data (roles
+ * and schools), skill tags and the contact cards
+ */
+function buildPersonData(data) {
+    const contact = getContactDetails(data);
+    const work = data.work || [];
+
+    const sameAs = [...new Set(Array.from(
+        document.querySelectorAll('.contact-card[href^="http"], .hero-social a[href^="http"]'),
+        link => link.href
+    ))];
+
+    const knowsAbout = new Set();
+    const knowsLanguage = new Set();
+    document.querySelectorAll('.skill-tag').forEach(tag => {
+        const isLanguage = tag.closest('.skill-category')
+            .querySelector('[data-i18n="skills.languages"]');
+        if (isLanguage) {
+            // "German (native)" -> "German"
+            knowsLanguage.add(tag.textContent.replace(/\(.*\)/, '').trim());
+        } else {
+            knowsAbout.add(tag.textContent.trim());
+        }
+    });
+
+    const schools = new Map();
+    (data.education || []).forEach(edu => {
+        const school = localize(edu, 'institution');
+        if (school && !schools.has(school)) {
+            schools.set(school, { '@type': 'EducationalOrganization', name: school, url: edu.url });
+        }
+    });
+
+    const listOrUndefined = values => (values.length ? values : undefined);
+
+    return {
+        '@type': 'Person',
+        '@id': `${absoluteUrl('./')}#person`,
+        name: contact.name || undefined,
+        jobTitle: contact.title || undefined,
+        description: t('meta.description'),
+        image: contact.photo || undefined,
+        url: contact.url,
+        email: contact.email || undefined,
+        sameAs: listOrUndefined(sameAs),
+        address: contact.locality ? {
+            '@type': 'PostalAddress',
+            addressLocality: contact.locality,
+            addressCountry: contact.country
+        } : undefined,
+        worksFor: contact.org ? { '@type': 'Organization', name: contact.org, url: contact.orgUrl } : undefined,
+        // Role wraps each occupation to carry its dates
+        hasOccupation: listOrUndefined(work.map(job => ({
+            '@type': 'Role',
+            startDate: job.startDate,
+            endDate: job.endDate,
+            hasOccupation: {
+                '@type': 'Occupation',
+                name: localize(job, 'position'),
+                description: `${localize(job, 'summary')} (${localize(job, 'name')})`,
+                skills: listOrUndefined(job.keywords || [])
+            }
+        }))),
+        alumniOf: listOrUndefined([...schools.values()]),
+        knowsAbout: listOrUndefined([...knowsAbout]),
+        knowsLanguage: listOrUndefined([...knowsLanguage])
+    };
+}
+
+/**
+ * Replace the JSON-LD block in the head for the active language
+ */
+function renderStructuredData(data) {
+    let script = document.getElementById('structured-data');
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = 'structured-data';
+        document.head.appendChild(script);
+    }
+
+    script.textContent = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'ProfilePage',
+        url: document.head.querySelector('link[rel="canonical"]').href,
+        inLanguage: currentLocale,
+        name: t('meta.title'),
+        mainEntity: buildPersonData(data)
+    });
+}
+
+function initMetadata() {
+    document.addEventListener('languagechange', () => {
+        updateSocialMeta();
+        // Without the resume the person still gets hero, skills and contact
+        loadResume()
+            .catch(() => ({}))
+            .then(renderStructuredData);
+    });
+}
+
+// ==========================================
+// Edit Mode (?edit)
+// ==========================================
+
+/**
+ * Everything edit mode changes besides the skill tags: the
+ * dictionaries of all locales and the resume
+ */
+async function loadEditableContent() {
+    const locales = Object.keys(LOCALES);
+    const [data, ...dictionaries] = await Promise.all([loadResume(), ...locales.map(getMessages)]);
+    const messages = {};
+    locales.forEach((lang, index) => { messages[lang] = dictionaries[index]; });
+    return { messages, resume: data };
+}
+
+/**
+ * Show an edited version: swap the dictionaries and the resume, then
+ * translate again so the timeline, chart and skill explorer follow
+ */
+function applyEditedContent({ messages, resume: data }, { render = true } = {}) {
+    Object.keys(messages).forEach(lang => setMessages(lang, messages[lang]));
+    resume = data;
+    resumePromise = Promise.resolve(data);
+    if (!render) return Promise.resolve();
+
+    // Edited tags are re-rendered as unselected spans
+    selectedSkills.clear();
+    return refreshLanguage();
+}
+
+/**
+ * The editor only loads for ?edit and asks for its passphrase itself
+ */
+function initEditMode() {
+    if (!new URLSearchParams(window.location.search).has('edit')) return;
+
+    import('./js/editor.js')
+        .then(editor => editor.init(document, {
+            loadContent: loadEditableContent,
+            applyContent: applyEditedContent
+        }))
+        .catch(error => console.warn('Could not start edit mode:', error));
+}
+
+// ==========================================
+// Public API (window.Portfolio)
+// ==========================================
+
+// In start order: motion first (others read it), language last (its
+// first "languagechange" should find every listener in place)
+const components = { motion, smoothScroll, navigation, timelineTabs, careerChart, cursor, counters, theme, language };
+
+/**
+ * Start the reusable components below root, e.g. on another page of
+ * the site. Options are keyed by component name; false skips one:
+ * Portfolio.init(document, { cursor: false, counters: { threshold: 0.3 } })
+ */
+function initComponents(root = document, options = {}) {
+    Object.keys(components).forEach(name => {
+        if (options[name] !== false) {
+            components[name].init(root, options[name]);
+        }
+    });
+}
+
+function destroyComponents() {
+    Object.keys(components).reverse().forEach(name => components[name].destroy());
+}
+
+window.Portfolio = Object.freeze({
+    ...components,
+    init: initComponents,
+    destroy: destroyComponents
+});
+
+// ==========================================
+// Initialize Everything
+// ==========================================
+
+function init() {
+    // Motion preference (OS setting or the in-page toggle)
+    motion.init();
+
+    // Canvas cursor effects (trail / glow / off)
+    cursor.init();
+
+    // Update current year
+    updateCurrentYear();
+
+    // Timeline tablist; the router below activates tabs from the URL
+    timelineTabs.init();
+
+    // Year-axis career chart in its own tab, drawn with the timeline
+    careerChart.init();
+
+    // Route in-page links and deep links (#about, #education, #edu-master)
+    initRouter();
+
+    // Initialize fade-in animations
+    initFadeInAnimations();
+
+    // Opt-in analytics; listens before theme and language load
+    initAnalytics();
+
+    // Count-up highlights (formatted per language, replay on revisit)
+    counters.init();
+
+    // Hero photo states and initials fallback
+    initImages();
+
+    // CV export via the print stylesheet
+    initCvExport();
+
+    // GitHub projects (cache, snapshot fallback, pins)
+    initProjects();
+
+    // Markdown posts, reachable as #writing/<id>
+    initWriting();
+
+    // Contact form with offline outbox; vCard, QR code and copy email
+    initContactForm();
+    initContactShare();
+
+    // Offline support and update notice
+    initServiceWorker();
+
+    // Render the timeline from the resume data; language.init fires
+    // the first languagechange once the dictionaries are loaded
+    document.addEventListener('languagechange', renderTimeline);
+    initTimelineFilters();
+    initSkillExplorer();
+
+    // Mobile menu, menubar keys and the navbar's scrolled state
+    navigation.init();
+
+    // Ctrl/Cmd+K command palette and "?" shortcut help
+    initCommandPalette();
+
+    // One rAF-batched pipeline for everything that follows the scroll
+    smoothScroll.init();
+    initScrollSpy();
+    document.addEventListener('timelinerender', requestScrollFrame);
+
+    // Title, social meta and JSON-LD follow the language
+    initMetadata();
+
+    // Initialize theme and language from localStorage; edit mode
+    // (?edit) starts once the dictionaries are in
+    theme.init();
+    language.init().then(initEditMode);
+
+    // Log accessibility info
+    console.log('%c👋 Welcome to Martin Forstner\'s Portfolio!', 'font-size: 16px; font-weight: bold; color: #6366f1;');
+    console.log('%c♿ This site was built with accessibility in mind (WCAG 2.1 compliant)', 'font-size: 12px; color: #06b6d4;');
+}
 
-})();
+// Run when DOM is ready (module scripts are deferred, so it usually is)
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
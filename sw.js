@@ -0,0 +1,154 @@
+/**
+ * Martin Forstner Portfolio - Service Worker
+ * Precaches the site shell so the portfolio keeps working offline.
+ */
+
+'use strict';
+
+// Bump on every deploy: a changed worker installs a fresh cache
+// and the page offers to reload into the new version.
+const CACHE_VERSION = '2026-10-19.12';
+const PRECACHE = `portfolio-precache-${CACHE_VERSION}`;
+const RUNTIME = `portfolio-runtime-${CACHE_VERSION}`;
+const OFFLINE_URL = 'offline.html';
+
+// Paths (below the worker's scope) that index.html answers: the start
+// page and the locale prefixes 404.html folds into ?lang=
+const SHELL_PATH = /^(?:index\.html|(?:en|de)(?:-[a-z]{2})?(?:\/.*)?)?$/i;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    OFFLINE_URL,
+    '404.html',
+    'styles.css',
+    'print.css',
+    'script.js',
+    'js/utils.js',
+    'js/projects.js',
+    'js/markdown.js',
+    'js/modules/motion.js',
+    'js/modules/smooth-scroll.js',
+    'js/modules/navigation.js',
+    'js/modules/timeline-tabs.js',
+    'js/modules/career-chart.js',
+    'js/modules/cursor.js',
+    'js/modules/counters.js',
+    'js/modules/theme.js',
+    'js/modules/language.js',
+    'icon.svg',
+    'manifest.webmanifest',
+    'data/resume.json',
+    'data/projects.json',
+    'posts/index.json',
+    'locales/en.json',
+    'locales/de.json'
+];
+// Photos in images/ come in several formats and sizes; whichever one
+// the browser picks lands in the runtime cache on the first visit.
+
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// ==========================================
+// Lifecycle
+// ==========================================
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('portfolio-') && key !== PRECACHE && key !== RUNTIME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over once the visitor agrees
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ==========================================
+// Fetch Strategies
+// ==========================================
+
+function isShellRoute(url) {
+    const scope = new URL(self.registration.scope).pathname;
+    const path = url.pathname.startsWith(scope) ? url.pathname.slice(scope.length) : url.pathname;
+    return SHELL_PATH.test(path);
+}
+
+/**
+ * Pages: network first so content stays fresh, then the cached copy,
+ * the shell for its own routes, and the offline page for the rest
+ */
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        const shell = isShellRoute(new URL(request.url)) && await caches.match('index.html');
+        return shell || caches.match(OFFLINE_URL);
+    }
+}
+
+/**
+ * Assets: serve from cache immediately and refresh in the background.
+ * Refreshed copies land in the runtime cache, so it is asked before
+ * the precache.
+ */
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(RUNTIME);
+    const cached = await cache.match(request) || await caches.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+    return network;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    // Requests that ask to revalidate (the edit mode's index.html
+    // export) go straight to the network
+    if (request.cache === 'no-cache' || request.cache === 'no-store') return;
+
+    if (url.origin === self.location.origin || FONT_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+});
@@ -0,0 +1,207 @@
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, pressKey } from './helpers/dom.js';
+import * as language from '../js/modules/language.js';
+import * as timelineTabs from '../js/modules/timeline-tabs.js';
+import * as careerChart from '../js/modules/career-chart.js';
+
+const MARKUP = `
+    <div role="tablist">
+        <button class="toggle-btn active" role="tab" id="tab-work" aria-selected="true" aria-controls="panel-work">Work</button>
+        <button class="toggle-btn" role="tab" id="tab-education" aria-selected="false" aria-controls="panel-education">Education</button>
+        <button class="toggle-btn" role="tab" id="tab-chart" aria-selected="false" aria-controls="panel-chart">Big Picture</button>
+    </div>
+    <div class="timeline-panel active" role="tabpanel" id="panel-work"></div>
+    <div class="timeline-panel" role="tabpanel" id="panel-education" hidden></div>
+    <div class="timeline-panel" role="tabpanel" id="panel-chart" hidden>
+        <figure class="career-chart">
+            <p class="career-chart-range"></p>
+            <button type="button" data-chart-action="zoom-out">−</button>
+            <button type="button" data-chart-action="zoom-in">+</button>
+            <button type="button" data-chart-action="reset">Whole career</button>
+            <div class="career-chart-plot"></div>
+            <table class="career-chart-table"><thead><tr><th>Entry</th><th>Period</th><th>Duration</th></tr></thead></table>
+        </figure>
+    </div>
+`;
+
+const GROUPS = [
+    {
+        id: 'work',
+        label: 'Work Life',
+        entries: [
+            { id: 'job-architect', title: 'Solution Architect', start: '2020-12', end: '2023-07' },
+            { id: 'job-developer', title: 'Software Developer', start: '2018-08', end: '2020-12' }
+        ]
+    },
+    {
+        id: 'education',
+        label: 'Learning',
+        entries: [
+            { id: 'edu-master', title: 'Master in Computer Science', subtitle: 'JKU Linz', end: '2020' },
+            { id: 'edu-certs', title: 'Certifications' }
+        ]
+    }
+];
+
+describe('career chart', () => {
+    const bars = () => Array.from(document.querySelectorAll('.career-chart-bar'));
+    const range = () => document.querySelector('.career-chart-range').textContent;
+    const tooltip = () => document.querySelector('.career-chart-tooltip');
+    const control = action => document.querySelector(`[data-chart-action="${action}"]`);
+
+    before(async () => {
+        setupDom();
+        await language.init();
+    });
+
+    beforeEach(() => {
+        setupDom(MARKUP);
+        timelineTabs.init();
+        careerChart.init();
+        careerChart.render(GROUPS);
+    });
+
+    afterEach(() => {
+        careerChart.destroy();
+        timelineTabs.destroy();
+    });
+
+    it('draws a linked bar per dated entry', () => {
+        assert.deepEqual(bars().map(bar => bar.getAttribute('href')), ['#job-architect', '#job-developer', '#edu-master']);
+        assert.equal(bars()[0].classList.contains('career-chart-bar--work'), true);
+        assert.equal(bars()[1].getAttribute('aria-label'), 'Software Developer, Aug 2018 – Dec 2020, 2 yrs 5 mos');
+        assert.equal(range(), 'Showing 2018 – 2023');
+    });
+
+    it('marks entries with only an end date as milestones', () => {
+        const shape = bars()[2].querySelector('.career-chart-shape');
+
+        assert.equal(shape.tagName, 'path');
+        assert.equal(bars()[2].getAttribute('aria-label'), 'Master in Computer Science, JKU Linz, 2020');
+    });
+
+    it('lists the same entries in a table, grouped like the chart', () => {
+        const bodies = Array.from(document.querySelectorAll('.career-chart-table tbody'));
+        const cells = row => Array.from(row.cells, cell => cell.textContent);
+
+        assert.equal(bodies.length, 2);
+        assert.equal(bodies[0].rows[0].cells[0].scope, 'rowgroup');
+        assert.deepEqual(cells(bodies[0].rows[1]), ['Solution Architect', 'Dec 2020 – Jul 2023', '2 yrs 8 mos']);
+        assert.deepEqual(cells(bodies[1].rows[1]), ['Master in Computer Science, JKU Linz', '2020', '–']);
+    });
+
+    it('shows a tooltip while a bar has focus', () => {
+        bars()[0].focus();
+
+        assert.equal(tooltip().hidden, false);
+        assert.equal(tooltip().textContent, 'Solution ArchitectDec 2020 – Jul 2023 · 2 yrs 8 mos');
+
+        bars()[0].blur();
+        assert.equal(tooltip().hidden, true);
+    });
+
+    it('shows a tooltip on hover and hides it on Escape', () => {
+        bars()[1].dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+        assert.equal(tooltip().hidden, false);
+
+        bars()[1].focus();
+        pressKey(bars()[1], 'Escape');
+        assert.equal(tooltip().hidden, true);
+    });
+
+    it('zooms with + and - and resets with 0', () => {
+        const bar = bars()[0];
+        bar.focus();
+
+        // Zooms in on the focused bar
+        pressKey(bar, '+');
+        assert.equal(range(), 'Showing 2019 – 2023');
+        assert.equal(control('reset').getAttribute('aria-disabled'), 'false');
+        // Bars are moved, not rebuilt, so focus stays put
+        assert.equal(document.activeElement, bar);
+
+        pressKey(bar, '-');
+        assert.equal(range(), 'Showing 2018 – 2023');
+
+        pressKey(bar, '+');
+        pressKey(bar, '0');
+        assert.equal(range(), 'Showing 2018 – 2023');
+        assert.equal(control('reset').getAttribute('aria-disabled'), 'true');
+    });
+
+    it('stops zooming in at two years', () => {
+        for (let i = 0; i < 10; i++) control('zoom-in').click();
+
+        assert.equal(range(), 'Showing 2020 – 2021');
+        assert.equal(control('zoom-in').getAttribute('aria-disabled'), 'true');
+        assert.equal(control('zoom-out').getAttribute('aria-disabled'), 'false');
+    });
+
+    it('pans with the arrow keys inside the data', () => {
+        control('zoom-in').click();
+        control('zoom-in').click();
+        const bar = bars()[1];
+        bar.focus();
+        const before = range();
+
+        pressKey(bar, 'ArrowRight');
+        assert.notEqual(range(), before);
+
+        for (let i = 0; i < 10; i++) pressKey(bar, 'ArrowLeft');
+        assert.match(range(), /^Showing 2018 – /);
+
+        for (let i = 0; i < 20; i++) pressKey(bar, 'ArrowRight');
+        assert.match(range(), / – 2023$/);
+    });
+
+    it('moves between bars with the up and down arrows', () => {
+        bars()[0].focus();
+
+        pressKey(bars()[0], 'ArrowDown');
+        assert.equal(document.activeElement, bars()[1]);
+
+        pressKey(bars()[1], 'ArrowUp');
+        assert.equal(document.activeElement, bars()[0]);
+    });
+
+    it('dims entries outside the timeline filters', () => {
+        careerChart.setMatchingEntries(new Set(['job-developer']));
+        const rows = Array.from(document.querySelectorAll('.career-chart-table tbody tr'));
+
+        assert.deepEqual(bars().map(bar => bar.classList.contains('is-dimmed')), [true, false, true]);
+        assert.equal(bars()[0].getAttribute('tabindex'), '-1');
+        assert.deepEqual(rows.map(row => row.hidden), [false, true, false, false, true]);
+
+        careerChart.setMatchingEntries(null);
+        assert.equal(bars().some(bar => bar.classList.contains('is-dimmed')), false);
+        assert.equal(bars()[0].hasAttribute('tabindex'), false);
+    });
+
+    it('is reached from the other tabs with the arrow keys', () => {
+        const education = document.getElementById('tab-education');
+        education.focus();
+
+        pressKey(education, 'ArrowRight');
+
+        assert.equal(document.activeElement.id, 'tab-chart');
+        assert.equal(document.getElementById('panel-chart').hidden, false);
+        assert.equal(bars().length, 3);
+    });
+
+    it('shows a note instead of an empty chart', () => {
+        careerChart.render([], { emptyText: 'The timeline could not be loaded right now.' });
+
+        assert.equal(bars().length, 0);
+        assert.equal(document.querySelector('.career-chart-empty').textContent, 'The timeline could not be loaded right now.');
+        assert.equal(document.querySelectorAll('.career-chart-table tbody').length, 0);
+    });
+
+    it('redraws the last data when started again', () => {
+        careerChart.destroy();
+        assert.equal(document.querySelector('.career-chart-svg'), null);
+
+        careerChart.init();
+        assert.equal(bars().length, 3);
+    });
+});
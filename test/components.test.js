@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, pressKey } from './helpers/dom.js';
+import * as motion from '../js/modules/motion.js';
+import * as smoothScroll from '../js/modules/smooth-scroll.js';
+import * as navigation from '../js/modules/navigation.js';
+import * as timelineTabs from '../js/modules/timeline-tabs.js';
+import * as careerChart from '../js/modules/career-chart.js';
+import * as cursor from '../js/modules/cursor.js';
+import * as counters from '../js/modules/counters.js';
+import * as theme from '../js/modules/theme.js';
+import * as language from '../js/modules/language.js';
+
+const MODULES = { motion, smoothScroll, navigation, timelineTabs, careerChart, cursor, counters, theme, language };
+
+describe('components', () => {
+    Object.entries(MODULES).forEach(([name, component]) => {
+        it(`${name} starts and stops on a page without its markup`, async () => {
+            setupDom('<main><p>Nothing to see here</p></main>');
+
+            await assert.doesNotReject(async () => component.init(document));
+            assert.doesNotThrow(() => component.destroy());
+            assert.doesNotThrow(() => component.destroy());
+        });
+
+        it(`${name} can be started again after destroy`, async () => {
+            setupDom('<main></main>');
+
+            await component.init(document);
+            component.destroy();
+            await assert.doesNotReject(async () => component.init(document));
+            component.destroy();
+        });
+    });
+
+    it('scopes lookups to the given root', () => {
+        setupDom(`
+            <div id="outside" role="tablist">
+                <button class="toggle-btn" role="tab" aria-selected="true" aria-controls="a">A</button>
+                <button class="toggle-btn" role="tab" aria-selected="false" aria-controls="b">B</button>
+            </div>
+            <div id="inside"></div>
+        `);
+        const [first] = document.querySelectorAll('.toggle-btn');
+        let changes = 0;
+        document.addEventListener('timelinetabchange', () => { changes++; });
+
+        timelineTabs.init(document.getElementById('inside'));
+        first.focus();
+        pressKey(first, 'ArrowRight');
+
+        assert.equal(document.activeElement, first);
+        assert.equal(changes, 0);
+        timelineTabs.destroy();
+    });
+});
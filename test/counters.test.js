@@ -0,0 +1,26 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import * as counters from '../js/modules/counters.js';
+
+describe('counters', () => {
+    afterEach(() => counters.destroy());
+
+    it('wraps numeric values in prefix and suffix', () => {
+        setupDom('<span id="years" data-count="1200" data-prefix="~" data-suffix="+"></span>');
+        counters.init();
+
+        const counter = document.getElementById('years');
+        assert.equal(counter.textContent, '~1,200+');
+        assert.equal(counter.nextElementSibling.textContent, '~1,200+');
+    });
+
+    it('wraps non-numeric text in prefix and suffix', () => {
+        setupDom('<span id="coffee" data-count="∞" data-prefix="≈ " data-suffix=" ☕"></span>');
+        counters.init();
+
+        const counter = document.getElementById('coffee');
+        assert.equal(counter.textContent, '≈ ∞ ☕');
+        assert.equal(counter.nextElementSibling.textContent, '≈ ∞ ☕');
+    });
+});
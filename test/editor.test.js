@@ -0,0 +1,329 @@
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { setupDom, pressKey } from './helpers/dom.js';
+import * as language from '../js/modules/language.js';
+import * as editor from '../js/editor.js';
+
+const MARKUP = `
+    <h2 data-i18n="timeline.title">My Journey</h2>
+    <p class="about-text" data-i18n-html="about.p1">Hi</p>
+    <button type="button" data-i18n="timeline.work">Work Life</button>
+    <div class="timeline-container" data-resume-section="work">
+        <article class="timeline-item" aria-labelledby="job-acme">
+            <div class="timeline-content"><h3 class="timeline-title" id="job-acme">Developer @ Acme</h3></div>
+        </article>
+    </div>
+    <div class="skill-category">
+        <h3 class="skill-category-title"><span data-i18n="skills.frameworks">Languages & Frameworks</span></h3>
+        <div class="skill-tags">
+            <span class="skill-tag">Java</span>
+            <span class="skill-tag">React</span>
+        </div>
+    </div>
+`;
+
+const RESUME = {
+    work: [
+        { id: 'job-acme', position: 'Developer', name: 'Acme', startDate: '2020-01', translations: { de: { position: 'Entwickler' } } }
+    ],
+    education: []
+};
+
+const PASSPHRASE = 'correct horse';
+
+/**
+ * The page side of edit mode, reduced to what the editor relies on
+ */
+function createHooks() {
+    return {
+        loadContent: async () => ({
+            messages: { en: await language.getMessages('en'), de: await language.getMessages('de') },
+            resume: structuredClone(RESUME)
+        }),
+        applyContent: async (content, { render = true } = {}) => {
+            Object.keys(content.messages).forEach(lang => language.setMessages(lang, content.messages[lang]));
+            if (!render) return;
+            await language.refreshLanguage();
+            document.dispatchEvent(new CustomEvent('timelinerender'));
+        }
+    };
+}
+
+async function waitFor(check) {
+    for (let i = 0; i < 100; i++) {
+        const result = check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for the editor');
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('edit mode', () => {
+    const heading = () => document.querySelector('h2');
+    const toolbarButton = action => document.querySelector(`[data-edit-action="${action}"]`);
+    const unlockForm = () => document.querySelector('.edit-unlock form');
+    const unlockError = () => document.querySelector('.edit-unlock-error').textContent;
+    const readDraft = () => JSON.parse(localStorage.getItem('editDraft'));
+    let dictionaries = null;
+
+    const typeInto = (element, text) => {
+        element.textContent = text;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new window.FocusEvent('focusout', { bubbles: true }));
+    };
+
+    const submitUnlock = (passphrase, confirm) => {
+        const form = unlockForm();
+        form.elements.passphrase.value = passphrase;
+        if (confirm !== undefined) form.elements.confirm.value = confirm;
+        form.requestSubmit();
+    };
+
+    // Edits must not leak into the next session's dictionaries
+    const resetDictionaries = () => {
+        Object.keys(dictionaries).forEach(lang => language.setMessages(lang, structuredClone(dictionaries[lang])));
+    };
+
+    const startUnlocked = async () => {
+        sessionStorage.setItem('editUnlocked', 'true');
+        await editor.init(document, createHooks());
+    };
+
+    before(async () => {
+        setupDom();
+        dictionaries = {
+            en: structuredClone(await language.getMessages('en')),
+            de: structuredClone(await language.getMessages('de'))
+        };
+    });
+
+    beforeEach(async () => {
+        setupDom(MARKUP, { url: 'https://forstner.dev/?edit' });
+        await language.init();
+    });
+
+    afterEach(() => {
+        editor.destroy();
+        language.destroy();
+        resetDictionaries();
+    });
+
+    it('asks for a new passphrase first and keeps only its hash', async () => {
+        await editor.init(document, createHooks());
+        assert.equal(document.querySelector('.edit-unlock').getAttribute('role'), 'dialog');
+
+        submitUnlock('short', 'short');
+        await waitFor(() => unlockError());
+        assert.equal(unlockError(), 'Use at least 8 characters.');
+
+        submitUnlock(PASSPHRASE, 'correct horsf');
+        await waitFor(() => unlockError() === 'The passphrases don\'t match.');
+
+        submitUnlock(PASSPHRASE, PASSPHRASE);
+        await waitFor(() => document.querySelector('.edit-toolbar'));
+
+        assert.equal(document.querySelector('.edit-unlock'), null);
+        assert.match(localStorage.getItem('editPassphrase'), /^[0-9a-f]{64}$/);
+        assert.equal(sessionStorage.getItem('editUnlocked'), 'true');
+    });
+
+    it('rejects a wrong passphrase and stays unlocked for the tab', async () => {
+        const hash = createHash('sha256').update(`portfolio-edit:${PASSPHRASE}`).digest('hex');
+        localStorage.setItem('editPassphrase', hash);
+        await editor.init(document, createHooks());
+        assert.equal(unlockForm().elements.confirm, undefined);
+
+        submitUnlock('battery staple');
+        await waitFor(() => unlockError() === 'That\'s not the passphrase.');
+
+        submitUnlock(PASSPHRASE);
+        await waitFor(() => document.querySelector('.edit-toolbar'));
+
+        editor.destroy();
+        await editor.init(document, createHooks());
+        assert.equal(document.querySelector('.edit-unlock'), null);
+        assert.notEqual(document.querySelector('.edit-toolbar'), null);
+    });
+
+    it('makes plain messages editable, but not controls', async () => {
+        await startUnlocked();
+
+        assert.equal(heading().getAttribute('contenteditable'), 'true');
+        assert.equal(document.querySelector('.about-text').getAttribute('contenteditable'), 'true');
+        assert.equal(document.querySelector('button[data-i18n]').hasAttribute('contenteditable'), false);
+        assert.equal(document.querySelector('.edit-toolbar [data-i18n]').hasAttribute('contenteditable'), false);
+    });
+
+    it('saves typed text as a draft and undoes it', async () => {
+        await startUnlocked();
+        const original = heading().textContent;
+
+        typeInto(heading(), 'Career');
+        assert.equal(readDraft().content.messages.en['timeline.title'], 'Career');
+        assert.equal(toolbarButton('undo').getAttribute('aria-disabled'), 'false');
+
+        pressKey(document.body, 'z', { ctrlKey: true });
+        await waitFor(() => heading().textContent === original);
+        // Nothing left to keep
+        assert.equal(localStorage.getItem('editDraft'), null);
+
+        pressKey(document.body, 'y', { ctrlKey: true });
+        await waitFor(() => heading().textContent === 'Career');
+        assert.equal(toolbarButton('redo').getAttribute('aria-disabled'), 'true');
+    });
+
+    it('undoes text that is still being typed', async () => {
+        await startUnlocked();
+        const original = heading().textContent;
+        const type = text => {
+            heading().textContent = text;
+            heading().dispatchEvent(new Event('input', { bubbles: true }));
+        };
+
+        // Ctrl+Z before the edit is committed
+        type('Career');
+        pressKey(document.body, 'z', { ctrlKey: true });
+        await waitFor(() => heading().textContent === original);
+        assert.equal(toolbarButton('redo').getAttribute('aria-disabled'), 'false');
+
+        pressKey(document.body, 'y', { ctrlKey: true });
+        await waitFor(() => heading().textContent === 'Career');
+
+        // A new edit drops the redo step, even before it is committed
+        pressKey(document.body, 'z', { ctrlKey: true });
+        await waitFor(() => heading().textContent === original);
+        type('Path');
+        pressKey(document.body, 'y', { ctrlKey: true });
+        await settle();
+
+        assert.equal(heading().textContent, 'Path');
+        assert.equal(readDraft().content.messages.en['timeline.title'], 'Path');
+        assert.equal(toolbarButton('redo').getAttribute('aria-disabled'), 'true');
+    });
+
+    it('edits the language the page shows', async () => {
+        await startUnlocked();
+        await language.setLanguage('de');
+
+        typeInto(heading(), 'Werdegang');
+        const { messages } = readDraft().content;
+
+        assert.equal(messages.de['timeline.title'], 'Werdegang');
+        assert.equal(messages.en['timeline.title'], dictionaries.en['timeline.title']);
+    });
+
+    it('restores the draft in the next session', async () => {
+        await startUnlocked();
+        typeInto(heading(), 'Career');
+        editor.destroy();
+        resetDictionaries();
+        await language.init();
+
+        await editor.init(document, createHooks());
+
+        assert.equal(heading().textContent, 'Career');
+        assert.match(document.querySelector('.edit-status').textContent, /^Restored your draft from /);
+
+        // A fresh history per session
+        assert.equal(toolbarButton('undo').getAttribute('aria-disabled'), 'true');
+        toolbarButton('discard').click();
+        await settle();
+        assert.equal(heading().textContent, dictionaries.en['timeline.title']);
+        assert.equal(localStorage.getItem('editDraft'), null);
+    });
+
+    it('edits timeline entries with a column per language', async () => {
+        await startUnlocked();
+        document.querySelector('.edit-entry-button').click();
+        const form = document.querySelector('.timeline-item .edit-form');
+
+        assert.equal(form.elements['position.en'].value, 'Developer');
+        assert.equal(form.elements['position.de'].value, 'Entwickler');
+
+        form.elements['position.de'].value = 'Softwareentwickler';
+        form.elements.keywords.value = 'Java, React ,';
+        form.requestSubmit();
+        await settle();
+
+        const [job] = editor.buildContentFile().files['data/resume.json'].work;
+        assert.equal(job.position, 'Developer');
+        assert.deepEqual(job.translations, { de: { position: 'Softwareentwickler' } });
+        assert.deepEqual(job.keywords, ['Java', 'React']);
+        assert.equal(document.querySelector('.edit-form'), null);
+    });
+
+    it('adds entries with a readable id and checks their dates', async () => {
+        await startUnlocked();
+        document.querySelector('.edit-add-entry').click();
+        const form = document.querySelector('.edit-form');
+
+        form.elements['position.en'].value = 'Team Lead';
+        form.elements['name.en'].value = 'Bäckerei Müller';
+        form.elements.startDate.value = '2024/05';
+        form.requestSubmit();
+        await settle();
+        assert.equal(editor.buildContentFile().files['data/resume.json'].work.length, 1);
+
+        form.elements.startDate.value = '2024-05';
+        form.requestSubmit();
+        await settle();
+
+        const { work } = editor.buildContentFile().files['data/resume.json'];
+        assert.deepEqual(work.map(job => job.id), ['job-backerei-muller', 'job-acme']);
+        assert.equal(work[0].translations, undefined);
+    });
+
+    it('edits skill tags for every language at once', async () => {
+        await startUnlocked();
+        const button = document.querySelector('.edit-skills-button');
+        assert.equal(button.getAttribute('aria-label'), 'Edit tags: Languages & Frameworks');
+
+        button.click();
+        const input = document.querySelector('.edit-form--skills input');
+        assert.equal(input.value, 'Java, React');
+
+        input.value = 'Java, Kotlin';
+        input.form.requestSubmit();
+        await settle();
+
+        const tags = Array.from(document.querySelectorAll('.skill-tag'), tag => tag.textContent);
+        assert.deepEqual(tags, ['Java', 'Kotlin']);
+        assert.deepEqual(editor.buildContentFile().skills, { 'skills.frameworks': ['Java', 'Kotlin'] });
+        assert.equal(document.activeElement, button);
+    });
+
+    it('previews the page without the editing aids', async () => {
+        await startUnlocked();
+
+        toolbarButton('preview').click();
+        assert.equal(document.documentElement.classList.contains('is-edit-preview'), true);
+        assert.equal(toolbarButton('preview').getAttribute('aria-pressed'), 'true');
+        assert.equal(heading().hasAttribute('contenteditable'), false);
+
+        toolbarButton('preview').click();
+        assert.equal(heading().getAttribute('contenteditable'), 'true');
+    });
+
+    it('exports index.html with the edited default text and tags', async () => {
+        await startUnlocked();
+        typeInto(heading(), 'Career');
+        document.querySelector('.edit-skills-button').click();
+        document.querySelector('.edit-form--skills input').value = 'Java, Kotlin';
+        document.querySelector('.edit-form--skills').requestSubmit();
+        await settle();
+
+        const html = await editor.buildIndexHtml();
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const tags = doc.querySelector('[data-i18n="skills.frameworks"]').closest('.skill-category').querySelector('.skill-tags');
+
+        assert.match(html, /^<!DOCTYPE html>\n<html lang="en">/);
+        assert.equal(doc.querySelector('[data-i18n="timeline.title"]').textContent, 'Career');
+        assert.deepEqual(Array.from(tags.children, tag => tag.textContent), ['Java', 'Kotlin']);
+        assert.match(tags.innerHTML, /^\n {28}<span class="skill-tag">Java<\/span>\n/);
+        // Untouched markup stays as it was
+        assert.match(doc.querySelector('[data-i18n-html="about.p1"]').innerHTML, /^\n/);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * A fresh jsdom page per test, installed as the globals the browser
+ * modules use (window, document, localStorage, fetch, ...)
+ */
+
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const SITE_ROOT = new URL('../../', import.meta.url);
+
+const WINDOW_GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'Node', 'Element', 'HTMLElement',
+    'DOMParser', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+/**
+ * matchMedia stand-in; flip results with setMedia() to fire "change"
+ */
+function createMediaQueries(window, initial) {
+    const queries = new Map();
+    const matchMedia = (media) => {
+        if (!queries.has(media)) {
+            const query = new window.EventTarget();
+            query.media = media;
+            query.matches = Boolean(initial[media]);
+            queries.set(media, query);
+        }
+        return queries.get(media);
+    };
+    const setMedia = (media, matches) => {
+        const query = matchMedia(media);
+        query.matches = matches;
+        const event = new window.Event('change');
+        event.matches = matches;
+        event.media = media;
+        query.dispatchEvent(event);
+    };
+    return { matchMedia, setMedia };
+}
+
+/**
+ * Serve site files (locales/*.json) from the working tree
+ */
+async function fetchFromDisk(url) {
+    const path = new URL(url, 'https://forstner.dev/').pathname.replace(/^\//, '');
+    try {
+        const body = await readFile(new URL(path, SITE_ROOT), 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+    } catch (error) {
+        return { ok: false, status: 404, json: async () => { throw error; }, text: async () => '' };
+    }
+}
+
+/**
+ * Options: url - page address; storage - localStorage entries;
+ * media - media queries that match, e.g. { '(prefers-color-scheme: dark)': true }
+ */
+export function setupDom(body = '', { url = 'https://forstner.dev/', storage = {}, media = {} } = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html lang="en"><head></head><body>${body}</body></html>`, {
+        url,
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    const { matchMedia, setMedia } = createMediaQueries(window, media);
+    window.matchMedia = matchMedia;
+    window.fetch = fetchFromDisk;
+
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    WINDOW_GLOBALS.forEach(name => {
+        const value = window[name];
+        Object.defineProperty(globalThis, name, {
+            value: typeof value === 'function' && !/^[A-Z]/.test(name) ? value.bind(window) : value,
+            configurable: true,
+            writable: true
+        });
+    });
+    globalThis.fetch = fetchFromDisk;
+
+    return { window, document: window.document, setMedia };
+}
+
+/**
+ * Dispatch a keydown the way a browser would
+ */
+export function pressKey(target, key, init = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+}
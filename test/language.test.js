@@ -0,0 +1,99 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import * as language from '../js/modules/language.js';
+
+const MARKUP = `
+    <select id="lang-picker"></select>
+    <h2 data-i18n="contact.title">Let's Connect 🤝</h2>
+    <button data-i18n-attr="aria-label:update.dismiss">×</button>
+`;
+
+describe('language', () => {
+    const title = () => document.querySelector('h2').textContent;
+    const picker = () => document.getElementById('lang-picker');
+
+    afterEach(() => language.destroy());
+
+    it('starts in the browser language and fills the picker', async () => {
+        setupDom(MARKUP);
+        await language.init();
+
+        assert.equal(language.currentLocale, 'en');
+        assert.equal(document.documentElement.lang, 'en');
+        assert.deepEqual(Array.from(picker().options, option => option.value), Object.keys(language.LOCALES));
+        assert.equal(picker().value, 'en');
+    });
+
+    it('restores the saved language', async () => {
+        setupDom(MARKUP, { storage: { language: 'de' } });
+        await language.init();
+
+        assert.equal(document.documentElement.lang, 'de');
+        assert.equal(title(), 'Lass uns vernetzen 🤝');
+        assert.equal(document.querySelector('button').getAttribute('aria-label'), 'Schließen');
+        assert.equal(picker().value, 'de');
+        assert.equal(new URL(location.href).searchParams.get('lang'), 'de');
+    });
+
+    it('lets ?lang= win over the saved language', async () => {
+        setupDom(MARKUP, { url: 'https://forstner.dev/?lang=en', storage: { language: 'de' } });
+        await language.init();
+
+        assert.equal(language.currentLocale, 'en');
+        assert.equal(localStorage.getItem('language'), 'de');
+    });
+
+    it('persists a choice made with the picker', async () => {
+        setupDom(MARKUP);
+        await language.init();
+        const switched = new Promise(resolve => {
+            document.addEventListener('languagechange', event => resolve(event.detail.lang), { once: true });
+        });
+
+        picker().value = 'de';
+        picker().dispatchEvent(new Event('change'));
+
+        assert.equal(await switched, 'de');
+        assert.equal(localStorage.getItem('language'), 'de');
+        assert.equal(title(), 'Lass uns vernetzen 🤝');
+        assert.equal(location.search, '?lang=de');
+    });
+
+    it('survives a reload', async () => {
+        setupDom(MARKUP);
+        await language.init();
+        await language.setLanguage('de');
+        const saved = { language: localStorage.getItem('language') };
+        language.destroy();
+
+        setupDom(MARKUP, { storage: saved });
+        await language.init();
+
+        assert.equal(language.currentLocale, 'de');
+        assert.equal(language.t('contact.title'), 'Lass uns vernetzen 🤝');
+    });
+
+    it('ignores unknown locales', async () => {
+        setupDom(MARKUP);
+        await language.init();
+        await language.setLanguage('xx');
+
+        assert.equal(language.currentLocale, 'en');
+        assert.equal(localStorage.getItem('language'), null);
+    });
+
+    it('falls back to the message id for unknown keys', async () => {
+        setupDom(MARKUP);
+        await language.init();
+
+        assert.equal(language.t('does.not.exist'), 'does.not.exist');
+    });
+
+    it('works without the picker', async () => {
+        setupDom('<main></main>', { storage: { language: 'de' } });
+        await language.init();
+
+        assert.equal(document.documentElement.lang, 'de');
+    });
+});
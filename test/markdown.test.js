@@ -0,0 +1,68 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import { renderMarkdown } from '../js/markdown.js';
+
+function render(source) {
+    const container = document.createElement('div');
+    container.appendChild(renderMarkdown(source));
+    return container;
+}
+
+describe('markdown', () => {
+    beforeEach(() => setupDom('', { url: 'https://forstner.dev/' }));
+
+    it('renders blocks and inline markup', () => {
+        const html = render('# Title\n\nSome **bold** and _soft_ `code`.\n\n- one\n- two').innerHTML;
+
+        assert.equal(html, '<h3>Title</h3>'
+            + '<p>Some <strong>bold</strong> and <em>soft</em> <code>code</code>.</p>'
+            + '<ul><li>one</li><li>two</li></ul>');
+    });
+
+    it('keeps http(s), mailto and relative links', () => {
+        const links = render('[a](https://example.com) [b](mailto:me@example.com) [c](/posts/)')
+            .querySelectorAll('a');
+
+        assert.deepEqual(Array.from(links, link => link.href), [
+            'https://example.com/', 'mailto:me@example.com', 'https://forstner.dev/posts/'
+        ]);
+        assert.equal(links[0].rel, 'noopener noreferrer');
+        assert.equal(links[2].target, '');
+    });
+
+    it('drops javascript: and data: link URLs', () => {
+        const container = render('[x](javascript:alert%281%29) [y](data:text/html,hi) [z](JavaScript:void%200)');
+
+        assert.equal(container.querySelector('a'), null);
+        assert.equal(container.textContent, 'x y z');
+    });
+
+    it('drops javascript: and data: image URLs', () => {
+        const container = render('![one](javascript:alert%281%29) ![two](data:image/svg+xml,x) ![three](mailto:a@b.c)');
+
+        assert.equal(container.querySelector('img'), null);
+        assert.equal(container.textContent, 'one two three');
+    });
+
+    it('leaves raw HTML as inert text', () => {
+        const source = '<script>alert(1)</script>\n\n<img src=x onerror="alert(1)">';
+        const container = render(source);
+
+        assert.equal(container.querySelector('script, img'), null);
+        assert.deepEqual(Array.from(container.querySelectorAll('p'), p => p.textContent), [
+            '<script>alert(1)</script>',
+            '<img src=x onerror="alert(1)">'
+        ]);
+    });
+
+    it('escapes code fences', () => {
+        const container = render('```html\n<script>alert(1)</script>\n<img src=x onerror=alert(1)>\n```');
+        const code = container.querySelector('pre.code-block > code');
+
+        assert.equal(container.querySelector('script, img'), null);
+        assert.equal(code.className, 'language-html');
+        assert.equal(code.textContent, '<script>alert(1)</script>\n<img src=x onerror=alert(1)>');
+        assert.ok(code.querySelector('.token-keyword'));
+    });
+});
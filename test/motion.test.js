@@ -0,0 +1,46 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import * as motion from '../js/modules/motion.js';
+
+const REDUCE_QUERY = '(prefers-reduced-motion: reduce)';
+
+const MARKUP = '<button type="button" id="motion-toggle" aria-pressed="false">Reduce motion</button>';
+
+describe('motion', () => {
+    const toggle = () => document.getElementById('motion-toggle');
+
+    afterEach(() => motion.destroy());
+
+    it('follows the OS setting without a saved choice', () => {
+        setupDom(MARKUP, { media: { [REDUCE_QUERY]: true } });
+        motion.init();
+
+        assert.equal(motion.isReducedMotion(), true);
+        assert.equal(document.documentElement.dataset.motion, 'reduce');
+        assert.equal(toggle().getAttribute('aria-pressed'), 'true');
+    });
+
+    it('saves a toggle that differs from the OS setting', () => {
+        setupDom(MARKUP);
+        motion.init();
+
+        toggle().click();
+
+        assert.equal(localStorage.getItem('motion'), 'reduce');
+        assert.equal(motion.isReducedMotion(), true);
+    });
+
+    it('follows the OS again once the toggle matches it', () => {
+        const { setMedia } = setupDom(MARKUP);
+        motion.init();
+
+        toggle().click();
+        toggle().click();
+        assert.equal(localStorage.getItem('motion'), null);
+
+        setMedia(REDUCE_QUERY, true);
+        assert.equal(motion.isReducedMotion(), true);
+        assert.equal(toggle().getAttribute('aria-pressed'), 'true');
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, pressKey } from './helpers/dom.js';
+import * as navigation from '../js/modules/navigation.js';
+
+const MOBILE = '(max-width: 768px)';
+
+const MARKUP = `
+    <a class="skip-link" href="#main">Skip</a>
+    <nav class="navbar">
+        <button class="nav-toggle" aria-expanded="false" aria-controls="nav-menu">☰</button>
+        <ul id="nav-menu" class="nav-menu" role="menubar">
+            <li role="none"><a href="#about" role="menuitem">Hey!</a></li>
+            <li role="none"><a href="#timeline" role="menuitem">Journey</a></li>
+            <li role="none"><a href="#skills" role="menuitem">Tech Stack</a></li>
+            <li role="none"><a href="#projects" role="menuitem">Projects</a></li>
+            <li role="none"><a href="#contact" role="menuitem">Let's Talk</a></li>
+        </ul>
+    </nav>
+    <main id="main"><p>Content</p></main>
+`;
+
+function setup(options) {
+    const dom = setupDom(MARKUP, { media: { [MOBILE]: true }, ...options });
+    navigation.init();
+    return {
+        ...dom,
+        toggle: document.querySelector('.nav-toggle'),
+        menu: document.querySelector('.nav-menu'),
+        links: Array.from(document.querySelectorAll('.nav-menu a')),
+        main: document.querySelector('main')
+    };
+}
+
+describe('navigation', () => {
+    afterEach(() => navigation.destroy());
+
+    it('opens and closes the mobile menu from the toggle', () => {
+        const { toggle, menu, links, main } = setup();
+
+        toggle.click();
+        assert.equal(navigation.isMobileMenuOpen(), true);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.ok(menu.classList.contains('active'));
+        assert.equal(toggle.dataset.i18nAttr, 'aria-label:nav.closeMenu');
+        assert.equal(document.body.style.overflow, 'hidden');
+        assert.equal(main.inert, true);
+        assert.notEqual(document.querySelector('.navbar').inert, true);
+        assert.equal(document.activeElement, links[0]);
+
+        toggle.click();
+        assert.equal(navigation.isMobileMenuOpen(), false);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(toggle.dataset.i18nAttr, 'aria-label:nav.openMenu');
+        assert.equal(document.body.style.overflow, '');
+        assert.equal(main.inert, false);
+        assert.equal(document.activeElement, toggle);
+    });
+
+    it('focuses the current section when opening', () => {
+        const { toggle, links } = setup();
+        links[2].setAttribute('aria-current', 'location');
+
+        toggle.click();
+
+        assert.equal(document.activeElement, links[2]);
+        assert.equal(links[2].tabIndex, 0);
+    });
+
+    it('closes on Escape and returns focus to the toggle', () => {
+        const { toggle } = setup();
+        toggle.click();
+
+        pressKey(document.activeElement, 'Escape');
+
+        assert.equal(navigation.isMobileMenuOpen(), false);
+        assert.equal(document.activeElement, toggle);
+    });
+
+    it('closes on a click outside the navbar', () => {
+        const { toggle, main } = setup();
+        toggle.click();
+
+        main.firstElementChild.click();
+
+        assert.equal(navigation.isMobileMenuOpen(), false);
+    });
+
+    it('closes when a link is followed', () => {
+        const { toggle, links } = setup();
+        toggle.click();
+
+        links[3].click();
+
+        assert.equal(navigation.isMobileMenuOpen(), false);
+    });
+
+    it('closes when the layout grows to desktop', () => {
+        const { toggle, setMedia } = setup();
+        toggle.click();
+
+        setMedia(MOBILE, false);
+
+        assert.equal(navigation.isMobileMenuOpen(), false);
+    });
+
+    it('moves a roving tab stop with the arrow keys, Home and End', () => {
+        const { links } = setup();
+        assert.deepEqual(links.map(link => link.tabIndex), [0, -1, -1, -1, -1]);
+        links[0].focus();
+
+        pressKey(links[0], 'ArrowRight');
+        assert.equal(document.activeElement, links[1]);
+        assert.deepEqual(links.map(link => link.tabIndex), [-1, 0, -1, -1, -1]);
+
+        pressKey(links[1], 'ArrowLeft');
+        pressKey(links[0], 'ArrowUp');
+        assert.equal(document.activeElement, links[4]);
+
+        pressKey(links[4], 'Home');
+        assert.equal(document.activeElement, links[0]);
+
+        pressKey(links[0], 'End');
+        assert.equal(document.activeElement, links[4]);
+    });
+
+    it('jumps to items by their first letters', () => {
+        const { links } = setup();
+        links[0].focus();
+
+        pressKey(links[0], 'p');
+        assert.equal(document.activeElement, links[3]);
+
+        pressKey(links[3], 'j');
+        assert.equal(document.activeElement, links[3]);
+    });
+
+    it('stops reacting after destroy', () => {
+        const { toggle, main } = setup();
+        toggle.click();
+
+        navigation.destroy();
+        assert.equal(main.inert, false);
+        assert.equal(document.body.style.overflow, '');
+
+        toggle.click();
+        assert.equal(navigation.isMobileMenuOpen(), false);
+    });
+
+    it('works without a toggle button or menu', () => {
+        setupDom('<nav class="navbar"></nav><main></main>');
+
+        assert.doesNotThrow(() => navigation.init());
+        assert.doesNotThrow(() => navigation.openMobileMenu());
+        assert.equal(navigation.isMobileMenuOpen(), false);
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import { createGitHubSource, loadProjects } from '../js/projects.js';
+
+const CACHE_KEY = 'githubRepos:octo';
+const HOUR = 3600 * 1000;
+
+const REPO = {
+    name: 'site',
+    description: 'My portfolio',
+    url: 'https://github.com/octo/site',
+    homepage: '',
+    languages: ['JavaScript'],
+    stars: 2,
+    pushedAt: '2026-10-01T10:00:00Z'
+};
+
+function jsonResponse(body, status = 200) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+/**
+ * Canned fetch: answers by URL, records every request
+ */
+function createFetch(routes) {
+    const requests = [];
+    const fetchImpl = async (url) => {
+        requests.push(url);
+        return url in routes ? routes[url] : jsonResponse({ message: 'Not Found' }, 404);
+    };
+    return { fetchImpl, requests };
+}
+
+function failingSource() {
+    return { listRepos: async () => { throw new Error('rate limited'); } };
+}
+
+function config(fetchImpl) {
+    return { cacheKey: CACHE_KEY, ttl: 3600, snapshot: 'data/projects.json', fetchImpl };
+}
+
+function saveCache(savedAt, repos = [REPO]) {
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ savedAt, repos }));
+}
+
+describe('projects data', () => {
+    beforeEach(() => {
+        setupDom();
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('answers from a fresh cache without asking the API', async () => {
+        const savedAt = Date.now() - HOUR / 2;
+        saveCache(savedAt);
+        const listRepos = mock.fn(async () => []);
+
+        const result = await loadProjects({ listRepos }, config(createFetch({}).fetchImpl));
+
+        assert.deepEqual(result, { repos: [REPO], origin: 'cache', savedAt });
+        assert.equal(listRepos.mock.callCount(), 0);
+    });
+
+    it('fetches live data once the cache is past its TTL', async () => {
+        saveCache(Date.now() - 2 * HOUR, []);
+        const { fetchImpl, requests } = createFetch({
+            'https://api.test/users/octo/repos?per_page=100&sort=pushed': jsonResponse([
+                { name: 'site', full_name: 'octo/site', description: 'My portfolio', html_url: REPO.url, language: 'CSS', stargazers_count: 2, pushed_at: REPO.pushedAt },
+                { name: 'fork', full_name: 'octo/fork', fork: true },
+                { name: 'old', full_name: 'octo/old', archived: true }
+            ]),
+            'https://api.test/repos/octo/site/languages': jsonResponse({ JavaScript: 900 })
+        });
+        const source = createGitHubSource({ user: 'octo', baseUrl: 'https://api.test', fetchImpl });
+
+        const result = await loadProjects(source, config(fetchImpl));
+
+        assert.equal(result.origin, 'live');
+        assert.deepEqual(result.repos, [REPO]);
+        assert.equal(requests.length, 2);
+        assert.deepEqual(JSON.parse(localStorage.getItem(CACHE_KEY)).repos, [REPO]);
+    });
+
+    it('keeps live data when the cache cannot be written', async () => {
+        const listRepos = async () => [REPO];
+        mock.method(window.Storage.prototype, 'setItem', () => {
+            throw new Error('QuotaExceededError');
+        });
+
+        const result = await loadProjects({ listRepos }, config(createFetch({}).fetchImpl));
+
+        assert.equal(result.origin, 'live');
+        assert.deepEqual(result.repos, [REPO]);
+    });
+
+    it('keeps the primary language when the breakdown fails', async () => {
+        const { fetchImpl } = createFetch({
+            'https://api.test/users/octo/repos?per_page=100&sort=pushed': jsonResponse([
+                { name: 'site', full_name: 'octo/site', html_url: REPO.url, language: 'CSS' }
+            ])
+        });
+        const source = createGitHubSource({ user: 'octo', baseUrl: 'https://api.test', fetchImpl });
+
+        const [repo] = await source.listRepos();
+
+        assert.deepEqual(repo.languages, ['CSS']);
+    });
+
+    it('falls back to a stale cache when the API fails', async () => {
+        const savedAt = Date.now() - 2 * HOUR;
+        saveCache(savedAt);
+        const { fetchImpl, requests } = createFetch({});
+
+        const result = await loadProjects(failingSource(), config(fetchImpl));
+
+        assert.deepEqual(result, { repos: [REPO], origin: 'stale', savedAt });
+        assert.deepEqual(requests, []);
+    });
+
+    it('falls back to the snapshot without any cache', async () => {
+        const { fetchImpl } = createFetch({
+            'data/projects.json': jsonResponse({ generatedAt: '2026-10-19T17:35:18Z', repos: [REPO] })
+        });
+
+        const result = await loadProjects(failingSource(), config(fetchImpl));
+
+        assert.deepEqual(result, {
+            repos: [REPO],
+            origin: 'snapshot',
+            savedAt: Date.parse('2026-10-19T17:35:18Z')
+        });
+    });
+
+    it('rejects when the snapshot cannot be loaded either', async () => {
+        const { fetchImpl } = createFetch({});
+
+        await assert.rejects(
+            loadProjects(failingSource(), config(fetchImpl)),
+            /Could not load data\/projects\.json \(404\)/
+        );
+    });
+});
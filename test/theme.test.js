@@ -0,0 +1,106 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import * as theme from '../js/modules/theme.js';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const MARKUP = `
+    <fieldset id="theme-toggle">
+        <input type="radio" name="theme" value="light">
+        <input type="radio" name="theme" value="dark">
+        <input type="radio" name="theme" value="system">
+    </fieldset>
+`;
+
+describe('theme', () => {
+    const currentTheme = () => document.documentElement.dataset.theme;
+    const checkedMode = () => document.querySelector('input[name="theme"]:checked').value;
+
+    afterEach(() => theme.destroy());
+
+    it('follows the system without a saved choice', () => {
+        setupDom(MARKUP, { media: { [DARK_QUERY]: true } });
+        theme.init();
+
+        assert.equal(theme.themeMode, 'system');
+        assert.equal(currentTheme(), 'dark');
+        assert.equal(checkedMode(), 'system');
+    });
+
+    it('restores the saved mode', () => {
+        setupDom(MARKUP, { storage: { theme: 'light' }, media: { [DARK_QUERY]: true } });
+        theme.init();
+
+        assert.equal(theme.themeMode, 'light');
+        assert.equal(currentTheme(), 'light');
+        assert.equal(checkedMode(), 'light');
+    });
+
+    it('treats an unknown saved value as system', () => {
+        setupDom(MARKUP, { storage: { theme: 'sepia' } });
+        theme.init();
+
+        assert.equal(theme.themeMode, 'system');
+        assert.equal(currentTheme(), 'light');
+    });
+
+    it('persists a choice made with the switcher', () => {
+        setupDom(MARKUP);
+        theme.init();
+
+        const dark = document.querySelector('input[value="dark"]');
+        dark.checked = true;
+        dark.dispatchEvent(new Event('change', { bubbles: true }));
+
+        assert.equal(localStorage.getItem('theme'), 'dark');
+        assert.equal(currentTheme(), 'dark');
+    });
+
+    it('survives a reload', () => {
+        setupDom(MARKUP);
+        theme.init();
+        theme.setTheme('dark');
+        const saved = { theme: localStorage.getItem('theme') };
+        theme.destroy();
+
+        setupDom(MARKUP, { storage: saved });
+        theme.init();
+
+        assert.equal(currentTheme(), 'dark');
+        assert.equal(checkedMode(), 'dark');
+    });
+
+    it('ignores unknown modes', () => {
+        setupDom(MARKUP);
+        theme.init();
+        theme.setTheme('sepia');
+
+        assert.equal(localStorage.getItem('theme'), null);
+        assert.equal(theme.themeMode, 'system');
+    });
+
+    it('tracks OS changes only in system mode', () => {
+        const { setMedia } = setupDom(MARKUP);
+        theme.init();
+        const changes = [];
+        document.addEventListener('themechange', event => changes.push(event.detail.theme));
+
+        setMedia(DARK_QUERY, true);
+        assert.equal(currentTheme(), 'dark');
+
+        theme.setTheme('light');
+        setMedia(DARK_QUERY, false);
+        setMedia(DARK_QUERY, true);
+        assert.equal(currentTheme(), 'light');
+        assert.deepEqual(changes, ['dark', 'light']);
+    });
+
+    it('works without the switcher', () => {
+        setupDom('<main></main>');
+
+        assert.doesNotThrow(() => theme.init());
+        theme.setTheme('dark');
+        assert.equal(currentTheme(), 'dark');
+    });
+});
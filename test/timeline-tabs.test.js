@@ -0,0 +1,100 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, pressKey } from './helpers/dom.js';
+import * as timelineTabs from '../js/modules/timeline-tabs.js';
+
+const MARKUP = `
+    <div role="tablist">
+        <button class="toggle-btn active" role="tab" id="tab-work" aria-selected="true" aria-controls="panel-work">Work</button>
+        <button class="toggle-btn" role="tab" id="tab-education" aria-selected="false" aria-controls="panel-education" tabindex="-1">Education</button>
+        <button class="toggle-btn" role="tab" id="tab-talks" aria-selected="false" aria-controls="panel-talks" tabindex="-1">Talks</button>
+    </div>
+    <div class="timeline-panel active" role="tabpanel" id="panel-work"></div>
+    <div class="timeline-panel" role="tabpanel" id="panel-education" hidden></div>
+    <div class="timeline-panel" role="tabpanel" id="panel-talks" hidden></div>
+`;
+
+describe('timeline tabs', () => {
+    let document;
+    const tab = id => document.getElementById(`tab-${id}`);
+    const panel = id => document.getElementById(`panel-${id}`);
+    const selected = () => document.querySelector('[aria-selected="true"]').id;
+
+    beforeEach(() => {
+        ({ document } = setupDom(MARKUP));
+        timelineTabs.init();
+    });
+
+    afterEach(() => timelineTabs.destroy());
+
+    it('moves to the next tab with ArrowRight and shows its panel', () => {
+        tab('work').focus();
+        const event = pressKey(tab('work'), 'ArrowRight');
+
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(selected(), 'tab-education');
+        assert.equal(document.activeElement, tab('education'));
+        assert.equal(panel('education').hidden, false);
+        assert.equal(panel('work').hidden, true);
+        assert.equal(tab('work').getAttribute('aria-selected'), 'false');
+    });
+
+    it('wraps around at both ends', () => {
+        pressKey(tab('work'), 'ArrowLeft');
+        assert.equal(selected(), 'tab-talks');
+
+        pressKey(tab('talks'), 'ArrowDown');
+        assert.equal(selected(), 'tab-work');
+
+        pressKey(tab('work'), 'ArrowUp');
+        assert.equal(selected(), 'tab-talks');
+    });
+
+    it('jumps to the first and last tab with Home and End', () => {
+        pressKey(tab('work'), 'End');
+        assert.equal(selected(), 'tab-talks');
+        assert.equal(document.activeElement, tab('talks'));
+
+        pressKey(tab('talks'), 'Home');
+        assert.equal(selected(), 'tab-work');
+        assert.equal(document.activeElement, tab('work'));
+    });
+
+    it('leaves other keys to the browser', () => {
+        const event = pressKey(tab('work'), 'Tab');
+
+        assert.equal(event.defaultPrevented, false);
+        assert.equal(selected(), 'tab-work');
+    });
+
+    it('announces a change of tab once', () => {
+        const changes = [];
+        document.addEventListener('timelinetabchange', event => changes.push(event.detail.tab));
+
+        tab('education').click();
+        tab('education').click();
+
+        assert.deepEqual(changes, ['tab-education']);
+    });
+
+    it('stops handling keys after destroy', () => {
+        timelineTabs.destroy();
+        pressKey(tab('work'), 'ArrowRight');
+
+        assert.equal(selected(), 'tab-work');
+    });
+
+    it('ignores a heading outside a timeline entry', () => {
+        panel('education').innerHTML = '<h3 id="loose">Loose heading</h3>';
+
+        assert.doesNotThrow(() => timelineTabs.revealTimelineEntry('loose'));
+        assert.equal(selected(), 'tab-work');
+    });
+
+    it('does nothing on a page without tabs', () => {
+        timelineTabs.destroy();
+        setupDom('<main></main>');
+
+        assert.doesNotThrow(() => timelineTabs.init());
+    });
+});